@@ -0,0 +1,348 @@
+// ===== CONSTANTS =====
+const COMMAND_PALETTE_ID = 'command-palette';
+const COMMAND_PALETTE_LIMIT = 8;
+// Places the palette can jump to: sections of this page or other pages
+const COMMAND_PALETTE_SECTIONS = [
+  { target: '#planets', label: 'sections.planets' },
+  { target: '#neptune', label: 'nav.neptune' },
+  { target: '#missions', label: 'sections.missions' },
+  { target: '#missions-dashboard', label: 'stats.title' },
+  { target: '#quiz', label: 'sections.quiz' },
+  { target: 'parallax.html', label: 'nav.parallax' },
+  { target: 'gallery.html', label: 'nav.gallery' }
+];
+
+// ===== FUZZY SEARCH =====
+/**
+ * Score how well a query matches a text. Every query character must appear
+ * in order; runs of consecutive characters and word starts score higher.
+ * @param {string} query - Normalized query
+ * @param {string} text - Text to search
+ * @returns {number} Score, 0 when it does not match
+ */
+function fuzzyScore(query, text) {
+  const haystack = normalizeText(text);
+  let score = 0;
+  let position = -1;
+  let streak = 0;
+
+  for (const char of query.replace(/\s+/g, '')) {
+    const found = haystack.indexOf(char, position + 1);
+    if (found === -1) return 0;
+
+    streak = found === position + 1 ? streak + 1 : 0;
+    const wordStart = found === 0 || !/[a-z0-9]/.test(haystack[found - 1]);
+    score += 1 + streak * 2 + (wordStart ? 3 : 0);
+    position = found;
+  }
+
+  // Among equal matches, shorter texts are closer
+  return score + (haystack.includes(query) ? query.length * 3 : 0) - haystack.length / 100;
+}
+
+/**
+ * Check that every word of a query appears in a text (used for long texts
+ * like planet facts, where scattered letters would match almost anything)
+ * @param {string} query - Normalized query
+ * @param {string} text - Text to search
+ * @returns {boolean} True if every word is found
+ */
+function containsWords(query, text) {
+  const haystack = normalizeText(text);
+  return query.split(/\s+/).every(word => haystack.includes(word));
+}
+
+// ===== COMMAND PALETTE CLASS =====
+/**
+ * Class for the Ctrl+K palette that searches planets, sections, parallax
+ * chapters and missions and runs the chosen action.
+ *
+ * Items: {group, title, detail, keywords, run}
+ * - title is fuzzy-matched, keywords only match whole words
+ */
+class CommandPalette {
+  constructor(store = null, editModal = null, createForm = null) {
+    this.store = store;
+    this.editModal = editModal;
+    this.createForm = createForm;
+    this.results = [];
+    this.activeIndex = 0;
+    this.lastFocusedElement = null;
+    this.createModal();
+
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (this.isOpen()) {
+          this.close();
+        } else {
+          this.open();
+        }
+      }
+    });
+
+    document.querySelectorAll('.palette-trigger').forEach(button => {
+      button.addEventListener('click', () => this.open());
+    });
+
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      if (this.isOpen()) this.search();
+    });
+  }
+
+  /**
+   * Create the palette dialog
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = COMMAND_PALETTE_ID;
+    this.modal.className = 'modal';
+    // data-i18n keeps the labels translated when the language changes
+    this.modal.innerHTML = `
+      <div class="modal-content command-palette" role="dialog" aria-modal="true" aria-label="${t('palette.title')}" data-i18n-attr="aria-label:palette.title">
+        <input type="text" class="command-palette-input" role="combobox" aria-expanded="true" aria-controls="command-palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false" aria-label="${t('palette.title')}" placeholder="${t('palette.placeholder')}" data-i18n-attr="aria-label:palette.title,placeholder:palette.placeholder">
+        <ul id="command-palette-results" class="command-palette-results" role="listbox" aria-label="${t('palette.results')}" data-i18n-attr="aria-label:palette.results"></ul>
+        <p class="command-palette-hint" data-i18n="palette.hint">${t('palette.hint')}</p>
+      </div>
+    `;
+    document.body.appendChild(this.modal);
+
+    this.input = this.modal.querySelector('.command-palette-input');
+    this.list = this.modal.querySelector('.command-palette-results');
+
+    this.input.addEventListener('input', () => this.search());
+    this.modal.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+        return;
+      }
+
+      const option = e.target.closest('[data-index]');
+      if (option) this.run(parseInt(option.dataset.index));
+    });
+
+    this.list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option) this.setActive(parseInt(option.dataset.index));
+    });
+  }
+
+  /**
+   * Check whether the palette is open
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return this.modal.style.display === 'block';
+  }
+
+  /**
+   * Open the palette with an empty query
+   */
+  open() {
+    this.lastFocusedElement = document.activeElement;
+    this.input.value = '';
+    this.search();
+    this.modal.style.display = 'block';
+    this.input.focus();
+  }
+
+  /**
+   * Close the palette and return focus to where it was
+   */
+  close() {
+    this.modal.style.display = 'none';
+    if (this.lastFocusedElement && this.lastFocusedElement.isConnected) {
+      this.lastFocusedElement.focus();
+    }
+    this.lastFocusedElement = null;
+  }
+
+  /**
+   * Move through the results, run one, or close the palette
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleKeydown(event) {
+    const count = this.results.length;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (count > 0) this.setActive((this.activeIndex + 1) % count);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (count > 0) this.setActive((this.activeIndex - 1 + count) % count);
+        break;
+      case 'Enter':
+        event.preventDefault();
+        this.run(this.activeIndex);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        trapFocus(event, this.modal);
+        break;
+    }
+  }
+
+  /**
+   * Build every searchable item from the current data and language
+   * @returns {Array} Items
+   */
+  getItems() {
+    const sections = COMMAND_PALETTE_SECTIONS.map(section => ({
+      group: 'section',
+      title: t(section.label),
+      detail: section.target.startsWith('#') ? '' : section.target,
+      keywords: section.target,
+      run: () => this.goTo(section.target)
+    }));
+
+    const planets = PLANETS.map(localizeDestination).map(planet => ({
+      group: 'planet',
+      title: planet.name,
+      detail: planet.title,
+      keywords: [planet.info, planet.composition, ...planet.facts, ...planet.aliases].join(' '),
+      run: () => {
+        window.location.hash = `${PLANET_ROUTE_PREFIX}${planet.slug}`;
+      }
+    }));
+
+    const chapters = PARALLAX_SCENES.map((scene, index) => ({
+      group: 'chapter',
+      title: t(scene.title),
+      detail: t('nav.parallax'),
+      keywords: t(scene.text),
+      // The first chapter is the top of the page
+      run: () => this.goTo(index === 0 ? 'parallax.html' : `parallax.html#${scene.id}`)
+    }));
+
+    if (!this.store) return [...sections, ...planets, ...chapters];
+
+    const missions = this.store.list().map(mission => ({
+      group: 'mission',
+      title: mission.name,
+      detail: `${getDestinationName(mission.destination)} · ${mission.year} · ${getStatusText(mission.status)}`,
+      keywords: [getDestinationName(mission.destination), mission.agency, mission.year, mission.notes].join(' '),
+      run: () => this.editModal.open(mission.id)
+    }));
+
+    // "Other" is what the plain new mission action is for
+    const destinations = DESTINATIONS.filter(destination => destination.slug !== 'otro');
+    const actions = [{ slug: '' }, ...destinations].map(destination => ({
+      group: 'action',
+      title: destination.slug
+        ? t('palette.newMissionTo', { name: getDestinationName(destination.slug) })
+        : t('palette.newMission'),
+      detail: '',
+      keywords: destination.aliases ? destination.aliases.join(' ') : '',
+      run: () => this.goTo('#missions').then(() => this.createForm.start(destination.slug))
+    }));
+
+    return [...sections, ...planets, ...chapters, ...missions, ...actions];
+  }
+
+  /**
+   * Rank the items for the current query and render the best ones
+   */
+  search() {
+    const query = normalizeText(this.input.value).replace(/\s+/g, ' ');
+    const items = this.getItems();
+
+    if (!query) {
+      this.results = items.slice(0, COMMAND_PALETTE_LIMIT);
+    } else {
+      this.results = items
+        .map(item => {
+          const titleScore = fuzzyScore(query, item.title);
+          // Matches in the keywords count, but below any title match
+          const score = titleScore > 0 ? titleScore + 100 : (containsWords(query, item.keywords) ? 1 : 0);
+          return { item, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, COMMAND_PALETTE_LIMIT)
+        .map(result => result.item);
+    }
+
+    this.activeIndex = 0;
+    this.render();
+  }
+
+  /**
+   * Render the results list
+   */
+  render() {
+    if (this.results.length === 0) {
+      this.list.innerHTML = `<li class="command-palette-empty" role="presentation">${t('palette.empty')}</li>`;
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.list.innerHTML = this.results
+      .map((item, index) => `
+        <li id="command-palette-option-${index}" class="command-palette-option" role="option" data-index="${index}" aria-selected="false">
+          <span class="command-palette-title">${escapeHtml(item.title)}</span>
+          ${item.detail ? `<span class="command-palette-detail">${escapeHtml(item.detail)}</span>` : ''}
+          <span class="command-palette-group">${t(`palette.groups.${item.group}`)}</span>
+        </li>
+      `)
+      .join('');
+    this.setActive(this.activeIndex);
+  }
+
+  /**
+   * Highlight a result
+   * @param {number} index - Result index
+   */
+  setActive(index) {
+    this.activeIndex = index;
+    this.list.querySelectorAll('[role="option"]').forEach(option => {
+      const active = parseInt(option.dataset.index) === index;
+      option.setAttribute('aria-selected', String(active));
+      option.classList.toggle(ACTIVE_CLASS, active);
+      if (active) option.scrollIntoView({ block: 'nearest' });
+    });
+    this.input.setAttribute('aria-activedescendant', `command-palette-option-${index}`);
+  }
+
+  /**
+   * Close the palette and run a result's action
+   * @param {number} index - Result index
+   */
+  run(index) {
+    const item = this.results[index];
+    if (!item) return;
+
+    this.close();
+    item.run();
+  }
+
+  /**
+   * Go to a section of this page or to another page
+   * @param {string} target - #id of a section or a page URL
+   * @returns {Promise} Resolves once the section is shown
+   */
+  goTo(target) {
+    if (!target.startsWith('#')) {
+      window.location.href = target;
+      return Promise.resolve();
+    }
+
+    // Leaving an open planet page is the router's job
+    if (isPlanetRoute(window.location.hash)) {
+      return new Promise(resolve => {
+        window.addEventListener('hashchange', () => resolve(), { once: true });
+        window.location.hash = target;
+      });
+    }
+
+    const element = document.querySelector(target);
+    if (element) scrollToElement(element);
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,159 @@
+// ===== GALLERY DATA =====
+/**
+ * Moon and mission photos shown in the gallery next to the planet images
+ * from PLANETS and the images attached to saved missions.
+ *
+ * - category: 'moons' or 'missions'
+ * - destination: related destination slug
+ * - title, caption: Spanish text (see GALLERY_TRANSLATIONS)
+ * - credit: image author or agency
+ */
+const GALLERY_IMAGES = [
+  {
+    id: 'luna',
+    category: 'moons',
+    destination: 'luna',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/e/e1/FullMoon2010.jpg',
+    title: 'La Luna',
+    caption: 'Luna llena fotografiada desde la Tierra, con sus mares de basalto y cráteres.',
+    credit: 'Gregory H. Revera'
+  },
+  {
+    id: 'io',
+    category: 'moons',
+    destination: 'jupiter',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/7/7b/Io_highest_resolution_true_color.jpg',
+    title: 'Ío',
+    caption: 'La luna de Júpiter con más actividad volcánica del sistema solar.',
+    credit: 'NASA/JPL/University of Arizona'
+  },
+  {
+    id: 'europa',
+    category: 'moons',
+    destination: 'jupiter',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/5/54/Europa-moon.jpg',
+    title: 'Europa',
+    caption: 'Su corteza de hielo esconde un océano de agua líquida.',
+    credit: 'NASA/JPL/DLR'
+  },
+  {
+    id: 'ganimedes',
+    category: 'moons',
+    destination: 'jupiter',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/f/f2/Ganymede_g1_true-edit1.jpg',
+    title: 'Ganímedes',
+    caption: 'La luna más grande del sistema solar, mayor que Mercurio.',
+    credit: 'NASA/JPL'
+  },
+  {
+    id: 'titan',
+    category: 'moons',
+    destination: 'saturno',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/4/45/Titan_in_true_color.jpg',
+    title: 'Titán',
+    caption: 'La luna de Saturno con una atmósfera densa de nitrógeno.',
+    credit: 'NASA/JPL/Space Science Institute'
+  },
+  {
+    id: 'triton',
+    category: 'moons',
+    destination: 'neptuno',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/a/a6/Triton_moon_mosaic_Voyager_2_%28large%29.jpg',
+    title: 'Tritón',
+    caption: 'Mosaico de la Voyager 2; orbita Neptuno en sentido contrario a su rotación.',
+    credit: 'NASA/JPL/USGS'
+  },
+  {
+    id: 'apollo-11',
+    category: 'missions',
+    destination: 'luna',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/9/98/Aldrin_Apollo_11_original.jpg',
+    title: 'Apollo 11',
+    caption: 'Buzz Aldrin en la superficie lunar, julio de 1969.',
+    credit: 'NASA'
+  },
+  {
+    id: 'voyager',
+    category: 'missions',
+    destination: 'espacio-interestelar',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/d/d2/Voyager.jpg',
+    title: 'Voyager',
+    caption: 'Recreación de una de las sondas gemelas Voyager, lanzadas en 1977.',
+    credit: 'NASA/JPL'
+  },
+  {
+    id: 'cassini',
+    category: 'missions',
+    destination: 'saturno',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/b/b2/Cassini_Saturn_Orbit_Insertion.jpg',
+    title: 'Cassini',
+    caption: 'Recreación de la llegada de Cassini a la órbita de Saturno en 2004.',
+    credit: 'NASA/JPL'
+  },
+  {
+    id: 'curiosity',
+    category: 'missions',
+    destination: 'marte',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/f/f3/Curiosity_Self-Portrait_at_%27Big_Sky%27_Drilling_Site.jpg',
+    title: 'Curiosity',
+    caption: 'Autorretrato del rover Curiosity en el cráter Gale de Marte.',
+    credit: 'NASA/JPL-Caltech/MSSS'
+  },
+  {
+    id: 'hubble',
+    category: 'missions',
+    destination: 'otro',
+    src: 'https://upload.wikimedia.org/wikipedia/commons/3/3f/HST-SM4.jpeg',
+    title: 'Telescopio Hubble',
+    caption: 'El Hubble tras su última misión de mantenimiento en 2009.',
+    credit: 'NASA'
+  }
+];
+
+// ===== GALLERY TRANSLATIONS =====
+/**
+ * Translated titles and captions by language and image id
+ */
+const GALLERY_TRANSLATIONS = {
+  en: {
+    luna: {
+      title: 'The Moon',
+      caption: 'Full Moon photographed from Earth, with its basalt maria and craters.'
+    },
+    io: {
+      title: 'Io',
+      caption: 'The most volcanically active moon of Jupiter and of the Solar System.'
+    },
+    europa: {
+      caption: 'Its icy crust hides an ocean of liquid water.'
+    },
+    ganimedes: {
+      title: 'Ganymede',
+      caption: 'The largest moon in the Solar System, bigger than Mercury.'
+    },
+    titan: {
+      title: 'Titan',
+      caption: 'The moon of Saturn with a thick nitrogen atmosphere.'
+    },
+    triton: {
+      title: 'Triton',
+      caption: 'Voyager 2 mosaic; it orbits Neptune opposite to the planet\'s rotation.'
+    },
+    'apollo-11': {
+      caption: 'Buzz Aldrin on the lunar surface, July 1969.'
+    },
+    voyager: {
+      caption: 'Artist\'s view of one of the twin Voyager probes, launched in 1977.'
+    },
+    cassini: {
+      caption: 'Artist\'s view of Cassini entering Saturn orbit in 2004.'
+    },
+    curiosity: {
+      caption: 'Self-portrait of the Curiosity rover in Gale crater on Mars.'
+    },
+    hubble: {
+      title: 'Hubble Space Telescope',
+      caption: 'Hubble after its last servicing mission in 2009.'
+    }
+  }
+};
@@ -0,0 +1,447 @@
+// ===== CONSTANTS =====
+const GALLERY_GRID_ID = 'gallery-grid';
+const GALLERY_FILTERS_ID = 'gallery-filters';
+const GALLERY_COUNT_ID = 'gallery-count';
+const GALLERY_LIGHTBOX_ID = 'gallery-lightbox';
+const IMAGE_PICKER_ID = 'image-picker';
+const GALLERY_CATEGORIES = ['all', 'planets', 'moons', 'missions'];
+const GALLERY_THUMB_WIDTH = 400;
+const LIGHTBOX_IMAGE_WIDTH = 1200;
+const WIKIMEDIA_COMMONS_URL = 'https://upload.wikimedia.org/wikipedia/commons/';
+// Minimum horizontal distance (px) for a touch gesture to count as a swipe
+const SWIPE_THRESHOLD = 50;
+
+// ===== GALLERY HELPERS =====
+/**
+ * Get a smaller version of an image: the bundled copy when there is one,
+ * else a Wikimedia Commons thumbnail (other URLs are returned as is)
+ * @param {string} src - Image URL
+ * @param {number} width - Thumbnail width in px
+ * @returns {string} Thumbnail URL
+ */
+function getThumbnailUrl(src, width = GALLERY_THUMB_WIDTH) {
+  if (LOCAL_IMAGES[src]) return getImageUrl(src, width);
+  if (!src.startsWith(WIKIMEDIA_COMMONS_URL) || src.includes('/thumb/')) return src;
+
+  const path = src.slice(WIKIMEDIA_COMMONS_URL.length);
+  const fileName = path.split('/').pop();
+  return `${WIKIMEDIA_COMMONS_URL}thumb/${path}/${width}px-${fileName}`;
+}
+
+/**
+ * Get a gallery image with its title and caption in the current language
+ * @param {Object} image - Gallery image
+ * @returns {Object} Localized image
+ */
+function localizeGalleryImage(image) {
+  const translations = GALLERY_TRANSLATIONS[getLanguage()] || {};
+  const translated = translations[image.id];
+  return translated ? { ...image, ...translated } : image;
+}
+
+/**
+ * Build every gallery image: planets, curated photos and saved mission images.
+ * Titles and captions are HTML-safe.
+ * @param {Array} missions - Saved missions
+ * @returns {Array} Gallery images
+ */
+function getGalleryImages(missions = []) {
+  const planets = PLANETS
+    .map(localizeDestination)
+    .map(planet => ({
+      id: `planet-${planet.slug}`,
+      category: 'planets',
+      src: planet.image,
+      title: planet.name,
+      caption: planet.info,
+      credit: ''
+    }));
+
+  const photos = GALLERY_IMAGES.map(localizeGalleryImage);
+
+  const missionImages = missions
+    .filter(mission => mission.imageUrl)
+    .map(mission => ({
+      id: `mission-${mission.id}`,
+      category: 'missions',
+      src: mission.imageUrl,
+      title: escapeHtml(mission.name),
+      caption: t('gallery.missionCaption', {
+        destination: escapeHtml(getDestinationName(mission.destination)),
+        year: mission.year
+      }),
+      credit: escapeHtml(mission.agency || '')
+    }));
+
+  return [...planets, ...photos, ...missionImages];
+}
+
+// ===== GALLERY CLASS =====
+/**
+ * Class to render the filterable image gallery and its lightbox
+ */
+class Gallery {
+  constructor() {
+    this.grid = document.getElementById(GALLERY_GRID_ID);
+    if (!this.grid) return;
+
+    this.filters = document.getElementById(GALLERY_FILTERS_ID);
+    this.count = document.getElementById(GALLERY_COUNT_ID);
+    this.lightbox = document.getElementById(GALLERY_LIGHTBOX_ID);
+    this.missions = [];
+    this.images = getGalleryImages();
+    this.category = GALLERY_CATEGORIES.includes(window.location.hash.slice(1))
+      ? window.location.hash.slice(1)
+      : 'all';
+    this.currentIndex = -1;
+    this.lastFocusedElement = null;
+    this.touchStartX = null;
+
+    this.initializeControls();
+    this.initializeLightbox();
+    this.render();
+    this.loadMissionImages();
+  }
+
+  /**
+   * Add images attached to saved missions
+   */
+  async loadMissionImages() {
+    try {
+      const data = await createMissionStorage().load();
+      if (data === null) return;
+      this.missions = migrateMissionsData(data).missions;
+      this.images = getGalleryImages(this.missions);
+      this.render();
+    } catch (error) {
+      console.error('Error loading mission images:', error);
+    }
+  }
+
+  /**
+   * Initialize filters, thumbnails and language changes
+   */
+  initializeControls() {
+    this.filters.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-category]');
+      if (!button) return;
+
+      this.category = button.dataset.category;
+      history.replaceState(null, '', this.category === 'all' ? window.location.pathname : `#${this.category}`);
+      this.render();
+    });
+
+    this.grid.addEventListener('click', (e) => {
+      const item = e.target.closest('.gallery-item');
+      if (item) this.openLightbox(parseInt(item.dataset.index));
+    });
+
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      this.images = getGalleryImages(this.missions);
+      this.render();
+      if (!this.lightbox.hidden) this.renderLightbox();
+    });
+  }
+
+  /**
+   * Initialize lightbox buttons, keyboard and swipe navigation
+   */
+  initializeLightbox() {
+    this.lightbox.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-lightbox]');
+      if (action) {
+        if (action.dataset.lightbox === 'close') this.closeLightbox();
+        if (action.dataset.lightbox === 'prev') this.showImage(this.currentIndex - 1);
+        if (action.dataset.lightbox === 'next') this.showImage(this.currentIndex + 1);
+      } else if (e.target === this.lightbox) {
+        this.closeLightbox();
+      }
+    });
+
+    this.lightbox.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeLightbox();
+      } else if (e.key === 'ArrowLeft') {
+        this.showImage(this.currentIndex - 1);
+      } else if (e.key === 'ArrowRight') {
+        this.showImage(this.currentIndex + 1);
+      } else if (e.key === 'Tab') {
+        trapFocus(e, this.lightbox);
+      }
+    });
+
+    this.lightbox.addEventListener('touchstart', (e) => {
+      this.touchStartX = e.changedTouches[0].clientX;
+    }, { passive: true });
+
+    this.lightbox.addEventListener('touchend', (e) => {
+      if (this.touchStartX === null) return;
+      const distance = e.changedTouches[0].clientX - this.touchStartX;
+      this.touchStartX = null;
+
+      if (Math.abs(distance) >= SWIPE_THRESHOLD) {
+        this.showImage(this.currentIndex + (distance < 0 ? 1 : -1));
+      }
+    });
+  }
+
+  /**
+   * Get the images of the selected category
+   * @returns {Array} Visible images
+   */
+  getVisibleImages() {
+    return this.category === 'all'
+      ? this.images
+      : this.images.filter(image => image.category === this.category);
+  }
+
+  /**
+   * Render filters, counter and thumbnails
+   */
+  render() {
+    const visible = this.getVisibleImages();
+
+    this.filters.innerHTML = GALLERY_CATEGORIES
+      .map(category => `
+        <button type="button" class="btn-history ${category === this.category ? ACTIVE_CLASS : ''}" data-category="${category}" aria-pressed="${category === this.category}">
+          ${t(`gallery.categories.${category}`)}
+        </button>
+      `)
+      .join('');
+
+    this.count.textContent = t('gallery.count', { count: visible.length });
+
+    if (visible.length === 0) {
+      this.grid.innerHTML = `<li class="gallery-empty">${t('gallery.empty')}</li>`;
+      return;
+    }
+
+    this.grid.innerHTML = visible
+      .map((image, index) => `
+        <li>
+          <button type="button" class="gallery-item" data-index="${index}" aria-label="${t('gallery.open', { title: image.title })}">
+            <img src="${escapeHtml(getThumbnailUrl(image.src))}" alt="" loading="lazy" decoding="async" width="${GALLERY_THUMB_WIDTH}" height="${GALLERY_THUMB_WIDTH}">
+            <span class="gallery-item-title">${image.title}</span>
+          </button>
+        </li>
+      `)
+      .join('');
+  }
+
+  /**
+   * Open the lightbox on an image of the visible list
+   * @param {number} index - Image index
+   */
+  openLightbox(index) {
+    this.lastFocusedElement = document.activeElement;
+    this.lightbox.hidden = false;
+    document.body.classList.add('lightbox-open');
+    this.showImage(index);
+    this.lightbox.querySelector('[data-lightbox="close"]').focus();
+  }
+
+  /**
+   * Close the lightbox and return focus to the thumbnail
+   */
+  closeLightbox() {
+    this.lightbox.hidden = true;
+    document.body.classList.remove('lightbox-open');
+
+    // Some browsers don't focus buttons on click, so fall back to the current thumbnail
+    let returnTarget = this.lastFocusedElement;
+    if (!returnTarget || !returnTarget.isConnected || returnTarget === document.body) {
+      returnTarget = this.grid.querySelector(`.gallery-item[data-index="${this.currentIndex}"]`);
+    }
+    if (returnTarget) returnTarget.focus();
+    this.lastFocusedElement = null;
+  }
+
+  /**
+   * Show an image in the lightbox, wrapping around the ends
+   * @param {number} index - Image index
+   */
+  showImage(index) {
+    const total = this.getVisibleImages().length;
+    if (total === 0) return;
+
+    this.currentIndex = (index + total) % total;
+    this.renderLightbox();
+  }
+
+  /**
+   * Render the current lightbox image and caption
+   */
+  renderLightbox() {
+    const visible = this.getVisibleImages();
+    const image = visible[this.currentIndex];
+    if (!image) {
+      this.closeLightbox();
+      return;
+    }
+
+    const img = this.lightbox.querySelector('.lightbox-image');
+    const title = this.lightbox.querySelector('.lightbox-title');
+    title.innerHTML = image.title;
+    img.src = getImageUrl(image.src, LIGHTBOX_IMAGE_WIDTH);
+    img.alt = title.textContent;
+    this.lightbox.querySelector('.lightbox-caption').innerHTML = image.caption;
+    this.lightbox.querySelector('.lightbox-credit').innerHTML = image.credit ? t('gallery.credit', { credit: image.credit }) : '';
+    this.lightbox.querySelector('.lightbox-counter').textContent = t('gallery.counter', {
+      current: this.currentIndex + 1,
+      total: visible.length
+    });
+  }
+}
+
+// ===== MISSION IMAGE PICKER CLASS =====
+/**
+ * Class to attach a gallery image to a mission from its card
+ */
+class MissionImagePicker {
+  constructor(store, missionList) {
+    this.store = store;
+    this.missionList = missionList;
+    if (!this.missionList.container) return;
+
+    this.missionId = null;
+    this.lastFocusedElement = null;
+    this.createModal();
+
+    this.missionList.container.addEventListener('click', (e) => {
+      const button = e.target.closest('.btn-attach-image');
+      if (button) this.open(button.dataset.id);
+    });
+
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      if (this.missionId !== null) this.render();
+    });
+  }
+
+  /**
+   * Create the picker dialog
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = IMAGE_PICKER_ID;
+    this.modal.className = 'modal';
+    this.modal.innerHTML = `
+      <div class="modal-content image-picker" role="dialog" aria-modal="true" aria-labelledby="image-picker-title"></div>
+    `;
+    document.body.appendChild(this.modal);
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal || e.target.closest('.modal-close')) {
+        this.close();
+        return;
+      }
+
+      const option = e.target.closest('[data-image-src]');
+      if (option) this.attach(option.dataset.imageSrc);
+    });
+
+    this.modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Tab') {
+        trapFocus(e, this.modal);
+      }
+    });
+  }
+
+  /**
+   * Get the mission being edited
+   * @returns {Object|null} Mission
+   */
+  getMission() {
+    return this.store.get(this.missionId);
+  }
+
+  /**
+   * Open the picker for a mission
+   * @param {string} id - Mission ID
+   */
+  open(id) {
+    this.missionId = id;
+    if (!this.getMission()) return;
+
+    this.lastFocusedElement = document.activeElement;
+    this.render();
+    this.modal.style.display = 'block';
+    this.modal.querySelector('.modal-close').focus();
+  }
+
+  /**
+   * Close the picker and return focus to the mission card
+   */
+  close() {
+    this.modal.style.display = 'none';
+
+    let returnTarget = this.lastFocusedElement;
+    if (!returnTarget || !returnTarget.isConnected) {
+      returnTarget = this.missionList.container.querySelector(`.btn-attach-image[data-id="${this.missionId}"]`);
+    }
+    if (returnTarget) returnTarget.focus();
+
+    this.missionId = null;
+    this.lastFocusedElement = null;
+  }
+
+  /**
+   * Set (or clear) the image of the mission
+   * @param {string} src - Image URL, empty to remove it
+   */
+  attach(src) {
+    const mission = this.getMission();
+    if (mission) {
+      try {
+        this.store.update(mission.id, { imageUrl: src });
+      } catch (error) {
+        // e.g. a mission imported before a schema rule existed must be fixed in the edit form first
+        showToast(error.message);
+      }
+    }
+    this.close();
+  }
+
+  /**
+   * Render the picker with every curated gallery image
+   */
+  render() {
+    const mission = this.getMission();
+    if (!mission) return;
+
+    const images = getGalleryImages();
+    this.modal.querySelector('.image-picker').innerHTML = `
+      <button type="button" class="modal-close" aria-label="${t('form.close')}">&times;</button>
+      <h3 id="image-picker-title">${t('gallery.pickerTitle', { name: escapeHtml(mission.name) })}</h3>
+      <ul class="image-picker-grid">
+        ${images
+          .map(image => `
+            <li>
+              <button type="button" class="gallery-item ${image.src === mission.imageUrl ? ACTIVE_CLASS : ''}" data-image-src="${escapeHtml(image.src)}" aria-pressed="${image.src === mission.imageUrl}">
+                <img src="${escapeHtml(getThumbnailUrl(image.src))}" alt="" loading="lazy" decoding="async" width="${GALLERY_THUMB_WIDTH}" height="${GALLERY_THUMB_WIDTH}">
+                <span class="gallery-item-title">${image.title}</span>
+              </button>
+            </li>
+          `)
+          .join('')}
+      </ul>
+      <div class="image-picker-actions">
+        ${mission.imageUrl ? `<button type="button" class="btn-delete" data-image-src="">${t('gallery.removeImage')}</button>` : ''}
+        <a href="gallery.html" class="btn-history">${t('gallery.openGallery')}</a>
+      </div>
+    `;
+  }
+}
+
+// ===== INITIALIZATION =====
+/**
+ * Initialize the gallery page
+ */
+function initializeGallery() {
+  new Gallery();
+}
+
+document.addEventListener('DOMContentLoaded', initializeGallery);
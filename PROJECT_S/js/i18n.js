@@ -0,0 +1,946 @@
+// ===== CONSTANTS =====
+const LANGUAGE_STORAGE_KEY = 'project_s_language';
+const DEFAULT_LANGUAGE = 'es';
+const LANGUAGE_CHANGE_EVENT = 'i18n:change';
+const LANGUAGE_LOCALES = {
+  es: 'es-ES',
+  en: 'en-US'
+};
+
+// ===== TRANSLATIONS =====
+/**
+ * UI text by language. Keys are looked up with dot paths (e.g. 'form.name')
+ * and {placeholders} are replaced with the params passed to t().
+ */
+const TRANSLATIONS = {
+  es: {
+    page: {
+      title: 'Sistema Solar - Project S',
+      description: 'Sistema Solar - Explora los planetas y el universo con Project S',
+      parallaxTitle: 'Parallax - Viaje Espacial',
+      parallaxDescription: 'Viaje Espacial - Efecto Parallax del Sistema Solar',
+      galleryTitle: 'Galería - Project S',
+      galleryDescription: 'Galería de imágenes de planetas, lunas y misiones espaciales'
+    },
+    language: {
+      label: 'Idioma'
+    },
+    nav: {
+      logoAlt: 'Project S - Sistema Solar',
+      planets: 'Planetas',
+      neptune: 'Neptuno',
+      missions: 'Misiones',
+      quiz: 'Quiz',
+      parallax: 'Parallax',
+      gallery: 'Galería'
+    },
+    sections: {
+      planets: 'Los Planetas del Sistema Solar',
+      missions: 'Gestión de Misiones Espaciales',
+      quiz: 'Pon a Prueba tus Conocimientos'
+    },
+    about: {
+      decorationAlt: 'Decoración espacial',
+      title: '¿Qué es PROJECT S?',
+      intro: 'PROJECT S es una página web dedicada sobre nuestro sistema solar. Podrás encontrar información sobre cada planeta, como su tamaño, temperatura, y se añadirán algunos detalles curiosos de cada planeta del sistema.',
+      updates: 'Este proyecto se irá actualizando mediante pase el tiempo, ya sea con actualizaciones de diseño de la página, cambios de logo, nuevos detalles de cada planeta e incluso se añadirán nuevas secciones a lo largo del tiempo.',
+      beta: 'Esta versión es una beta, al ser el primer modelo de la página es probable encontrar errores, bugs, etc.'
+    },
+    footer: {
+      tagline: 'Explorando el universo desde 2025',
+      links: 'Enlaces',
+      contact: 'Contacto',
+      rights: '© 2025 Todos los derechos reservados.',
+      designReference: 'Referencia de diseño:'
+    },
+    planet: {
+      imageAlt: 'Planeta {name}',
+      detailImageAlt: '{name} en detalle',
+      viewDetails: 'Ver detalles →',
+      characteristics: 'Características',
+      facts: 'Datos Curiosos',
+      distance: 'Distancia del Sol',
+      diameter: 'Diámetro',
+      temperature: 'Temperatura',
+      dayLength: 'Duración del día',
+      physical: 'Características Físicas',
+      mass: 'Masa',
+      gravity: 'Gravedad',
+      composition: 'Composición',
+      orbit: 'Órbita y Rotación',
+      orbitalPeriod: 'Periodo orbital',
+      orbitalVelocity: 'Velocidad orbital',
+      climate: 'Clima y Atmósfera',
+      moonsAndRings: 'Lunas y Anillos',
+      moons: 'Lunas',
+      discovery: 'Descubrimiento',
+      date: 'Fecha',
+      discoverers: 'Descubridores',
+      method: 'Método',
+      diameterValue: '{value} km ({ratio} veces el de la Tierra)',
+      massValue: '{value} veces la masa de la Tierra',
+      gravityValue: '{value} veces la de la Tierra',
+      temperatureValue: '{value}°C en promedio',
+      back: '← Volver a los planetas',
+      notFound: 'Planeta no encontrado',
+      missionsTo: 'Misiones a {name}',
+      noMissions: 'No hay misiones registradas a este planeta'
+    },
+    units: {
+      millionKm: '{value} millones de km',
+      earthDays: '{value} días terrestres',
+      earthYears: '{value} años terrestres',
+      earthHours: '{value} horas terrestres',
+      moonsNone: 'Ninguna',
+      moonsOne: '1 luna',
+      moonsOther: '{count} lunas conocidas'
+    },
+    orrery: {
+      label: 'Órbitas de los planetas',
+      play: '▶ Reproducir',
+      pause: '❚❚ Pausar',
+      speed: 'Velocidad:',
+      speedDay: '1 día por segundo',
+      speedWeek: '1 semana por segundo',
+      speedMonth: '1 mes por segundo',
+      speedYear: '1 año por segundo',
+      date: 'Ir a la fecha:',
+      today: 'Hoy',
+      zoom: 'Zoom',
+      inner: 'Planetas interiores',
+      outer: 'Planetas exteriores',
+      note: 'Posiciones aproximadas válidas entre 1800 y 2050. Los tamaños no están a escala.'
+    },
+    comparison: {
+      hint: 'Selecciona dos o más planetas para compararlos',
+      compare: 'Comparar ({count})',
+      clear: 'Limpiar selección',
+      title: 'Comparación de planetas',
+      close: 'Cerrar',
+      property: 'Propiedad',
+      timesEarth: '{value} × Tierra',
+      sizes: 'Tamaños a escala',
+      distances: 'Distancia al Sol a escala',
+      weight: 'Tu peso en la Tierra (kg):',
+      days: 'Días en cada planeta:'
+    },
+    destination: {
+      select: 'Selecciona un destino',
+      planets: 'Planetas',
+      others: 'Otros destinos'
+    },
+    status: {
+      select: 'Selecciona un estado',
+      all: 'Todos',
+      active: 'Activa',
+      completed: 'Completada',
+      planned: 'Planificada'
+    },
+    missionType: {
+      unspecified: 'Sin especificar',
+      flyby: 'Sobrevuelo',
+      orbiter: 'Orbitador',
+      lander: 'Aterrizador',
+      rover: 'Rover',
+      crewed: 'Tripulada',
+      uncrewed: 'No tripulada'
+    },
+    form: {
+      addTitle: 'Añadir Nueva Misión',
+      editTitle: 'Editar Misión',
+      name: 'Nombre de la Misión:',
+      destination: 'Destino:',
+      agency: 'Agencia:',
+      type: 'Tipo de Misión:',
+      crewed: 'Misión tripulada',
+      year: 'Año de Lanzamiento:',
+      launchDate: 'Fecha de Lanzamiento:',
+      arrivalDate: 'Fecha de Llegada:',
+      status: 'Estado:',
+      imageUrl: 'URL de Imagen:',
+      notes: 'Notas:',
+      submit: 'Añadir Misión',
+      save: 'Guardar Cambios',
+      close: 'Cerrar'
+    },
+    validation: {
+      nameRequired: 'El nombre es requerido',
+      destinationRequired: 'El destino es requerido',
+      statusRequired: 'El estado es requerido',
+      yearRequired: 'El año es requerido',
+      yearRange: 'El año debe estar entre {min} y {max}',
+      unknownDestination: 'Destino desconocido: {value}',
+      unknownStatus: 'Estado desconocido: {value}',
+      unknownType: 'Tipo de misión desconocido: {value}',
+      invalidLaunchDate: 'La fecha de lanzamiento no es válida',
+      launchDateYear: 'La fecha no coincide con el año de lanzamiento',
+      invalidArrivalDate: 'La fecha de llegada no es válida',
+      arrivalBeforeLaunch: 'La llegada no puede ser anterior al lanzamiento',
+      invalidImageUrl: 'La URL debe empezar por http:// o https://',
+      maxLength: 'Máximo {max} caracteres',
+      completedInFuture: 'Una misión completada no puede lanzarse después de {year}',
+      plannedInPast: 'Una misión planificada no puede estar en el pasado',
+      duplicate: 'Ya existe una misión "{name}" con el mismo destino y año'
+    },
+    mission: {
+      destination: 'Destino',
+      agency: 'Agencia',
+      type: 'Tipo',
+      year: 'Año',
+      launch: 'Lanzamiento',
+      arrival: 'Llegada',
+      deleted: 'Eliminada',
+      edit: 'Editar',
+      delete: 'Eliminar',
+      restore: 'Restaurar',
+      purge: 'Eliminar definitivamente',
+      editLabel: 'Editar {name}',
+      deleteLabel: 'Eliminar {name}',
+      restoreLabel: 'Restaurar {name}',
+      purgeLabel: 'Eliminar definitivamente {name}',
+      image: 'Imagen',
+      imageLabel: 'Elegir imagen para {name}'
+    },
+    missions: {
+      listTitle: 'Lista de Misiones',
+      loading: 'Cargando misiones...',
+      empty: 'No hay misiones registradas',
+      noMatches: 'Ninguna misión coincide con los filtros',
+      count: 'Mostrando {visible} de {total} misiones',
+      deleted: 'Misión "{name}" eliminada',
+      undo: 'Deshacer',
+      loadError: 'No se pudieron cargar las misiones guardadas ({message}). Se muestran las misiones por defecto y no se guardará ningún cambio hasta recargar la página.',
+      saveError: 'No se pudieron guardar los cambios ({message}).',
+      notLoaded: 'Las misiones aún se están cargando; inténtalo de nuevo en un momento.',
+      readOnly: 'Las misiones guardadas no se pudieron cargar, así que no se pueden modificar. Recarga la página para intentarlo de nuevo.'
+    },
+    history: {
+      undo: '↶ Deshacer',
+      redo: '↷ Rehacer',
+      trash: 'Papelera ({count})',
+      undoTitle: 'Deshacer: {label}',
+      redoTitle: 'Rehacer: {label}',
+      nothingToUndo: 'Nada que deshacer',
+      nothingToRedo: 'Nada que rehacer',
+      trashEmpty: 'La papelera está vacía',
+      emptyTrash: 'Vaciar papelera',
+      create: 'crear {name}',
+      edit: 'editar {name}',
+      import: 'importar {count} misiones',
+      delete: 'eliminar {name}',
+      restore: 'restaurar {name}',
+      purge: 'eliminar definitivamente {name}',
+      empty: 'vaciar la papelera'
+    },
+    toolbar: {
+      search: 'Buscar:',
+      searchPlaceholder: 'Nombre, destino o agencia',
+      status: 'Estado:',
+      yearFrom: 'Desde:',
+      yearTo: 'Hasta:',
+      sortBy: 'Ordenar por:',
+      createdAt: 'Fecha de creación',
+      name: 'Nombre',
+      year: 'Año',
+      sortOrder: 'Orden:',
+      asc: 'Ascendente',
+      desc: 'Descendente',
+      reset: 'Limpiar filtros'
+    },
+    view: {
+      label: 'Vista de misiones',
+      list: 'Lista',
+      timeline: 'Línea de tiempo'
+    },
+    timeline: {
+      previous: 'Década anterior',
+      next: 'Década siguiente',
+      zoomOut: 'Alejar',
+      zoomIn: 'Acercar',
+      empty: 'No hay misiones en este periodo'
+    },
+    stats: {
+      title: 'Estadísticas de Misiones',
+      empty: 'No hay misiones para analizar',
+      missions: 'Misiones',
+      activeRatio: 'Activas frente a completadas',
+      completedRatio: 'Completadas frente a activas',
+      byStatus: 'Por estado',
+      byDestination: 'Por destino',
+      byDecade: 'Por década de lanzamiento',
+      decade: 'Década de {decade}'
+    },
+    gallery: {
+      title: 'Galería del Sistema Solar',
+      intro: 'Planetas, lunas y misiones. Adjunta imágenes a tus misiones desde sus tarjetas para verlas aquí.',
+      filters: 'Categorías',
+      categories: {
+        all: 'Todas',
+        planets: 'Planetas',
+        moons: 'Lunas',
+        missions: 'Misiones'
+      },
+      count: '{count} imágenes',
+      empty: 'No hay imágenes en esta categoría',
+      open: 'Ampliar {title}',
+      previous: 'Imagen anterior',
+      next: 'Imagen siguiente',
+      counter: '{current} / {total}',
+      credit: 'Créditos: {credit}',
+      credits: 'Imágenes de Wikimedia Commons; los créditos aparecen en cada imagen.',
+      missionCaption: 'Misión a {destination} ({year})',
+      pickerTitle: 'Imagen para {name}',
+      removeImage: 'Quitar imagen',
+      openGallery: 'Abrir la galería'
+    },
+    quiz: {
+      intro: 'Responde preguntas sobre los planetas y tus misiones',
+      difficulty: 'Dificultad',
+      levels: {
+        easy: 'Fácil',
+        medium: 'Media',
+        hard: 'Difícil'
+      },
+      levelInfo: '{count} preguntas, {points} puntos por acierto',
+      start: 'Empezar',
+      progress: 'Pregunta {current} de {total}',
+      score: 'Puntuación: {score}',
+      true: 'Verdadero',
+      false: 'Falso',
+      correct: '¡Correcto!',
+      wrong: 'Incorrecto',
+      next: 'Siguiente pregunta',
+      results: 'Ver resultados',
+      finished: '¡Quiz completado!',
+      finalScore: '{score} de {max} puntos',
+      finalCorrect: 'Has acertado {correct} de {total} preguntas',
+      newRecord: '¡Nuevo récord!',
+      playAgain: 'Jugar de nuevo',
+      bestScores: 'Mejores puntuaciones',
+      history: 'Partidas recientes',
+      noHistory: 'Todavía no has jugado ninguna partida',
+      historyEntry: '{score} puntos ({correct}/{total})',
+      highest: '¿Cuál de estos planetas tiene el valor más alto de «{property}»?',
+      lowest: '¿Cuál de estos planetas tiene el valor más bajo de «{property}»?',
+      value: '¿Cuál es el valor de «{property}» en {planet}?',
+      valueExplanation: '{planet} — {property}: {value}',
+      comparison: 'Verdadero o falso: {first} tiene un valor de «{property}» mayor que {second}.',
+      fact: '¿A qué planeta corresponde este dato? «{fact}»',
+      factExplanation: 'Es un dato curioso de {planet}.',
+      discovery: '¿A qué planeta corresponde este descubrimiento? {discoverers} ({method})',
+      discoveryExplanation: '{planet}: {date}.',
+      destination: '¿Cuál es el destino de la misión {name}?',
+      destinationExplanation: '{name} ({year}) tiene como destino {destination}.',
+      year: '¿En qué año se lanzó la misión {name}?',
+      yearExplanation: '{name} se lanzó en {year}.',
+      launchDateExplanation: '{name} se lanzó el {date}.',
+      crewed: 'Verdadero o falso: la misión {name} fue tripulada.',
+      crewedExplanation: '{name} llevó tripulación.',
+      uncrewedExplanation: '{name} fue una misión no tripulada.'
+    },
+    transfer: {
+      title: 'Importar / Exportar',
+      exportJson: 'Exportar JSON',
+      exportCsv: 'Exportar CSV',
+      mode: 'Modo de importación:',
+      merge: 'Combinar (sobrescribe misiones con el mismo id)',
+      replace: 'Reemplazar todas las misiones',
+      file: 'Archivo JSON o CSV:',
+      fileName: 'misiones',
+      readError: 'No se pudo leer el archivo: {message}',
+      jsonList: 'el JSON debe ser una lista de misiones',
+      csvHeader: 'la cabecera CSV debe incluir: {fields}',
+      add: 'Añadir',
+      overwrite: 'Sobrescribir',
+      duplicate: 'posible duplicado',
+      replaceSummary: 'Se reemplazarán las {current} misiones actuales por {count} misiones.',
+      mergeSummary: 'Se añadirán {added} misiones y se sobrescribirán {overwritten}.',
+      skipped: 'Se omitirán {count} registros inválidos:',
+      row: 'Fila {row}',
+      confirm: 'Confirmar importación',
+      cancel: 'Cancelar'
+    },
+    offline: {
+      offline: 'Sin conexión: tus cambios se guardan en este dispositivo',
+      online: 'Conexión recuperada'
+    },
+    sync: {
+      conflict: '"{name}" se modificó en otra pestaña a la vez: se ha conservado esa versión',
+      modified: 'Esta misión se ha modificado en otra pestaña.',
+      deleted: 'Esta misión se ha eliminado en otra pestaña.',
+      reload: 'Cargar la versión nueva',
+      saveAsNew: 'Guardar como nueva misión'
+    },
+    palette: {
+      title: 'Buscar en Project S',
+      trigger: 'Buscar (Ctrl+K)',
+      placeholder: 'Planetas, secciones, capítulos o misiones…',
+      results: 'Resultados',
+      empty: 'Sin resultados',
+      hint: '↑↓ para elegir · Enter para abrir · Esc para cerrar',
+      newMission: 'Nueva misión',
+      newMissionTo: 'Nueva misión a {name}',
+      groups: {
+        section: 'Sección',
+        planet: 'Planeta',
+        chapter: 'Capítulo',
+        mission: 'Misión',
+        action: 'Acción'
+      }
+    },
+    storage: {
+      corrupt: 'los datos guardados están dañados',
+      unsupportedVersion: 'versión de datos {version} no soportada',
+      invalidFormat: 'formato de datos inválido',
+      indexedDBUnavailable: 'IndexedDB no está disponible',
+      serverError: 'el servidor respondió {status}',
+      offline: 'sin conexión y sin copia local de las misiones'
+    },
+    parallax: {
+      back: '← Volver al inicio',
+      chapters: 'Capítulos',
+      introTitle: 'Viaje al Espacio Profundo',
+      introText: 'Desplázate hacia abajo para explorar el universo',
+      rockyTitle: 'Los Planetas Rocosos',
+      rockyText: 'Mundos sólidos en nuestro sistema solar',
+      giantsTitle: 'Los Gigantes Gaseosos',
+      giantsText: 'Masivos mundos de gas y misterio',
+      asteroidsTitle: 'El Cinturón de Asteroides',
+      asteroidsText: 'Millones de rocas orbitando entre Marte y Júpiter',
+      kuiperTitle: 'El Cinturón de Kuiper',
+      kuiperText: 'Mundos helados más allá de Neptuno, hogar de Plutón',
+      oortTitle: 'La Nube de Oort',
+      oortText: 'Una esfera de cometas en el límite del sistema solar',
+      nebulaTitle: 'Nebulosas Cósmicas',
+      nebulaText: 'Cunas de estrellas en formación',
+      finalTitle: 'El Universo Infinito',
+      finalText: 'Aún queda mucho por explorar',
+      return: 'Volver al Sistema Solar',
+      mars: 'Marte',
+      earth: 'Tierra',
+      saturn: 'Saturno',
+      jupiter: 'Júpiter',
+      neptune: 'Neptuno'
+    }
+  },
+  en: {
+    page: {
+      title: 'Solar System - Project S',
+      description: 'Solar System - Explore the planets and the universe with Project S',
+      parallaxTitle: 'Parallax - Space Journey',
+      parallaxDescription: 'Space Journey - Solar System Parallax Effect',
+      galleryTitle: 'Gallery - Project S',
+      galleryDescription: 'Image gallery of planets, moons and space missions'
+    },
+    language: {
+      label: 'Language'
+    },
+    nav: {
+      logoAlt: 'Project S - Solar System',
+      planets: 'Planets',
+      neptune: 'Neptune',
+      missions: 'Missions',
+      quiz: 'Quiz',
+      parallax: 'Parallax',
+      gallery: 'Gallery'
+    },
+    sections: {
+      planets: 'The Planets of the Solar System',
+      missions: 'Space Mission Management',
+      quiz: 'Test Your Knowledge'
+    },
+    about: {
+      decorationAlt: 'Space decoration',
+      title: 'What is PROJECT S?',
+      intro: 'PROJECT S is a website dedicated to our solar system. You will find information about each planet, such as its size and temperature, along with some curious details about every planet in the system.',
+      updates: 'This project will keep being updated over time, whether with page design updates, logo changes, new details for each planet or even new sections.',
+      beta: 'This version is a beta. As the first version of the page, you will probably find errors, bugs, etc.'
+    },
+    footer: {
+      tagline: 'Exploring the universe since 2025',
+      links: 'Links',
+      contact: 'Contact',
+      rights: '© 2025 All rights reserved.',
+      designReference: 'Design reference:'
+    },
+    planet: {
+      imageAlt: 'Planet {name}',
+      detailImageAlt: '{name} in detail',
+      viewDetails: 'View details →',
+      characteristics: 'Characteristics',
+      facts: 'Fun Facts',
+      distance: 'Distance from the Sun',
+      diameter: 'Diameter',
+      temperature: 'Temperature',
+      dayLength: 'Day length',
+      physical: 'Physical Characteristics',
+      mass: 'Mass',
+      gravity: 'Gravity',
+      composition: 'Composition',
+      orbit: 'Orbit and Rotation',
+      orbitalPeriod: 'Orbital period',
+      orbitalVelocity: 'Orbital velocity',
+      climate: 'Climate and Atmosphere',
+      moonsAndRings: 'Moons and Rings',
+      moons: 'Moons',
+      discovery: 'Discovery',
+      date: 'Date',
+      discoverers: 'Discoverers',
+      method: 'Method',
+      diameterValue: '{value} km ({ratio} times Earth\'s)',
+      massValue: '{value} times Earth\'s mass',
+      gravityValue: '{value} times Earth\'s',
+      temperatureValue: '{value}°C on average',
+      back: '← Back to the planets',
+      notFound: 'Planet not found',
+      missionsTo: 'Missions to {name}',
+      noMissions: 'There are no missions to this planet'
+    },
+    units: {
+      millionKm: '{value} million km',
+      billionKm: '{value} billion km',
+      earthDays: '{value} Earth days',
+      earthYears: '{value} Earth years',
+      earthHours: '{value} Earth hours',
+      moonsNone: 'None',
+      moonsOne: '1 moon',
+      moonsOther: '{count} known moons'
+    },
+    orrery: {
+      label: 'Planet orbits',
+      play: '▶ Play',
+      pause: '❚❚ Pause',
+      speed: 'Speed:',
+      speedDay: '1 day per second',
+      speedWeek: '1 week per second',
+      speedMonth: '1 month per second',
+      speedYear: '1 year per second',
+      date: 'Go to date:',
+      today: 'Today',
+      zoom: 'Zoom',
+      inner: 'Inner planets',
+      outer: 'Outer planets',
+      note: 'Approximate positions valid between 1800 and 2050. Sizes are not to scale.'
+    },
+    comparison: {
+      hint: 'Select two or more planets to compare them',
+      compare: 'Compare ({count})',
+      clear: 'Clear selection',
+      title: 'Planet comparison',
+      close: 'Close',
+      property: 'Property',
+      timesEarth: '{value} × Earth',
+      sizes: 'Sizes to scale',
+      distances: 'Distance from the Sun to scale',
+      weight: 'Your weight on Earth (kg):',
+      days: 'Days on each planet:'
+    },
+    destination: {
+      select: 'Select a destination',
+      planets: 'Planets',
+      others: 'Other destinations'
+    },
+    status: {
+      select: 'Select a status',
+      all: 'All',
+      active: 'Active',
+      completed: 'Completed',
+      planned: 'Planned'
+    },
+    missionType: {
+      unspecified: 'Unspecified',
+      flyby: 'Flyby',
+      orbiter: 'Orbiter',
+      lander: 'Lander',
+      rover: 'Rover',
+      crewed: 'Crewed',
+      uncrewed: 'Uncrewed'
+    },
+    form: {
+      addTitle: 'Add New Mission',
+      editTitle: 'Edit Mission',
+      name: 'Mission Name:',
+      destination: 'Destination:',
+      agency: 'Agency:',
+      type: 'Mission Type:',
+      crewed: 'Crewed mission',
+      year: 'Launch Year:',
+      launchDate: 'Launch Date:',
+      arrivalDate: 'Arrival Date:',
+      status: 'Status:',
+      imageUrl: 'Image URL:',
+      notes: 'Notes:',
+      submit: 'Add Mission',
+      save: 'Save Changes',
+      close: 'Close'
+    },
+    validation: {
+      nameRequired: 'The name is required',
+      destinationRequired: 'The destination is required',
+      statusRequired: 'The status is required',
+      yearRequired: 'The year is required',
+      yearRange: 'The year must be between {min} and {max}',
+      unknownDestination: 'Unknown destination: {value}',
+      unknownStatus: 'Unknown status: {value}',
+      unknownType: 'Unknown mission type: {value}',
+      invalidLaunchDate: 'The launch date is not valid',
+      launchDateYear: 'The date does not match the launch year',
+      invalidArrivalDate: 'The arrival date is not valid',
+      arrivalBeforeLaunch: 'The arrival cannot be before the launch',
+      invalidImageUrl: 'The URL must start with http:// or https://',
+      maxLength: 'Maximum {max} characters',
+      completedInFuture: 'A completed mission cannot launch after {year}',
+      plannedInPast: 'A planned mission cannot be in the past',
+      duplicate: 'A mission "{name}" with the same destination and year already exists'
+    },
+    mission: {
+      destination: 'Destination',
+      agency: 'Agency',
+      type: 'Type',
+      year: 'Year',
+      launch: 'Launch',
+      arrival: 'Arrival',
+      deleted: 'Deleted',
+      edit: 'Edit',
+      delete: 'Delete',
+      restore: 'Restore',
+      purge: 'Delete permanently',
+      editLabel: 'Edit {name}',
+      deleteLabel: 'Delete {name}',
+      restoreLabel: 'Restore {name}',
+      purgeLabel: 'Delete {name} permanently',
+      image: 'Image',
+      imageLabel: 'Choose an image for {name}'
+    },
+    missions: {
+      listTitle: 'Mission List',
+      loading: 'Loading missions...',
+      empty: 'There are no missions yet',
+      noMatches: 'No mission matches the filters',
+      count: 'Showing {visible} of {total} missions',
+      deleted: 'Mission "{name}" deleted',
+      undo: 'Undo',
+      loadError: 'The saved missions could not be loaded ({message}). Showing the default missions; no changes will be saved until the page is reloaded.',
+      saveError: 'The changes could not be saved ({message}).',
+      notLoaded: 'The missions are still loading; try again in a moment.',
+      readOnly: 'The saved missions could not be loaded, so they cannot be changed. Reload the page to try again.'
+    },
+    history: {
+      undo: '↶ Undo',
+      redo: '↷ Redo',
+      trash: 'Trash ({count})',
+      undoTitle: 'Undo: {label}',
+      redoTitle: 'Redo: {label}',
+      nothingToUndo: 'Nothing to undo',
+      nothingToRedo: 'Nothing to redo',
+      trashEmpty: 'The trash is empty',
+      emptyTrash: 'Empty trash',
+      create: 'create {name}',
+      edit: 'edit {name}',
+      import: 'import {count} missions',
+      delete: 'delete {name}',
+      restore: 'restore {name}',
+      purge: 'permanently delete {name}',
+      empty: 'empty the trash'
+    },
+    toolbar: {
+      search: 'Search:',
+      searchPlaceholder: 'Name, destination or agency',
+      status: 'Status:',
+      yearFrom: 'From:',
+      yearTo: 'To:',
+      sortBy: 'Sort by:',
+      createdAt: 'Creation date',
+      name: 'Name',
+      year: 'Year',
+      sortOrder: 'Order:',
+      asc: 'Ascending',
+      desc: 'Descending',
+      reset: 'Clear filters'
+    },
+    view: {
+      label: 'Missions view',
+      list: 'List',
+      timeline: 'Timeline'
+    },
+    timeline: {
+      previous: 'Previous decade',
+      next: 'Next decade',
+      zoomOut: 'Zoom out',
+      zoomIn: 'Zoom in',
+      empty: 'There are no missions in this period'
+    },
+    stats: {
+      title: 'Mission Statistics',
+      empty: 'There are no missions to analyze',
+      missions: 'Missions',
+      activeRatio: 'Active versus completed',
+      completedRatio: 'Completed versus active',
+      byStatus: 'By status',
+      byDestination: 'By destination',
+      byDecade: 'By launch decade',
+      decade: '{decade}s'
+    },
+    gallery: {
+      title: 'Solar System Gallery',
+      intro: 'Planets, moons and missions. Attach images to your missions from their cards to see them here.',
+      filters: 'Categories',
+      categories: {
+        all: 'All',
+        planets: 'Planets',
+        moons: 'Moons',
+        missions: 'Missions'
+      },
+      count: '{count} images',
+      empty: 'There are no images in this category',
+      open: 'Enlarge {title}',
+      previous: 'Previous image',
+      next: 'Next image',
+      counter: '{current} / {total}',
+      credit: 'Credit: {credit}',
+      credits: 'Images from Wikimedia Commons; credits are shown with each image.',
+      missionCaption: 'Mission to {destination} ({year})',
+      pickerTitle: 'Image for {name}',
+      removeImage: 'Remove image',
+      openGallery: 'Open the gallery'
+    },
+    quiz: {
+      intro: 'Answer questions about the planets and your missions',
+      difficulty: 'Difficulty',
+      levels: {
+        easy: 'Easy',
+        medium: 'Medium',
+        hard: 'Hard'
+      },
+      levelInfo: '{count} questions, {points} points per correct answer',
+      start: 'Start',
+      progress: 'Question {current} of {total}',
+      score: 'Score: {score}',
+      true: 'True',
+      false: 'False',
+      correct: 'Correct!',
+      wrong: 'Wrong',
+      next: 'Next question',
+      results: 'See results',
+      finished: 'Quiz complete!',
+      finalScore: '{score} of {max} points',
+      finalCorrect: 'You got {correct} of {total} questions right',
+      newRecord: 'New record!',
+      playAgain: 'Play again',
+      bestScores: 'Best scores',
+      history: 'Recent games',
+      noHistory: 'You have not played any game yet',
+      historyEntry: '{score} points ({correct}/{total})',
+      highest: 'Which of these planets has the highest “{property}”?',
+      lowest: 'Which of these planets has the lowest “{property}”?',
+      value: 'What is the “{property}” of {planet}?',
+      valueExplanation: '{planet} — {property}: {value}',
+      comparison: 'True or false: {first} has a higher “{property}” than {second}.',
+      fact: 'Which planet does this fact belong to? “{fact}”',
+      factExplanation: 'It is a fun fact about {planet}.',
+      discovery: 'Which planet does this discovery belong to? {discoverers} ({method})',
+      discoveryExplanation: '{planet}: {date}.',
+      destination: 'What is the destination of the {name} mission?',
+      destinationExplanation: '{name} ({year}) is headed to {destination}.',
+      year: 'In which year was the {name} mission launched?',
+      yearExplanation: '{name} was launched in {year}.',
+      launchDateExplanation: '{name} was launched on {date}.',
+      crewed: 'True or false: the {name} mission was crewed.',
+      crewedExplanation: '{name} carried a crew.',
+      uncrewedExplanation: '{name} was an uncrewed mission.'
+    },
+    transfer: {
+      title: 'Import / Export',
+      exportJson: 'Export JSON',
+      exportCsv: 'Export CSV',
+      mode: 'Import mode:',
+      merge: 'Merge (overwrites missions with the same id)',
+      replace: 'Replace every mission',
+      file: 'JSON or CSV file:',
+      fileName: 'missions',
+      readError: 'The file could not be read: {message}',
+      jsonList: 'the JSON must be a list of missions',
+      csvHeader: 'the CSV header must include: {fields}',
+      add: 'Add',
+      overwrite: 'Overwrite',
+      duplicate: 'possible duplicate',
+      replaceSummary: 'The {current} current missions will be replaced by {count} missions.',
+      mergeSummary: '{added} missions will be added and {overwritten} overwritten.',
+      skipped: '{count} invalid records will be skipped:',
+      row: 'Row {row}',
+      confirm: 'Confirm import',
+      cancel: 'Cancel'
+    },
+    offline: {
+      offline: 'Offline: your changes are saved on this device',
+      online: 'Back online'
+    },
+    sync: {
+      conflict: '"{name}" was changed in another tab at the same time: that version was kept',
+      modified: 'This mission was changed in another tab.',
+      deleted: 'This mission was deleted in another tab.',
+      reload: 'Load the new version',
+      saveAsNew: 'Save as a new mission'
+    },
+    palette: {
+      title: 'Search Project S',
+      trigger: 'Search (Ctrl+K)',
+      placeholder: 'Planets, sections, chapters or missions…',
+      results: 'Results',
+      empty: 'No results',
+      hint: '↑↓ to choose · Enter to open · Esc to close',
+      newMission: 'New mission',
+      newMissionTo: 'New mission to {name}',
+      groups: {
+        section: 'Section',
+        planet: 'Planet',
+        chapter: 'Chapter',
+        mission: 'Mission',
+        action: 'Action'
+      }
+    },
+    storage: {
+      corrupt: 'the saved data is corrupt',
+      unsupportedVersion: 'data version {version} is not supported',
+      invalidFormat: 'invalid data format',
+      indexedDBUnavailable: 'IndexedDB is not available',
+      serverError: 'the server responded {status}',
+      offline: 'offline and no local copy of the missions'
+    },
+    parallax: {
+      back: '← Back to home',
+      chapters: 'Chapters',
+      introTitle: 'Journey into Deep Space',
+      introText: 'Scroll down to explore the universe',
+      rockyTitle: 'The Rocky Planets',
+      rockyText: 'Solid worlds in our solar system',
+      giantsTitle: 'The Gas Giants',
+      giantsText: 'Massive worlds of gas and mystery',
+      asteroidsTitle: 'The Asteroid Belt',
+      asteroidsText: 'Millions of rocks orbiting between Mars and Jupiter',
+      kuiperTitle: 'The Kuiper Belt',
+      kuiperText: 'Icy worlds beyond Neptune, home of Pluto',
+      oortTitle: 'The Oort Cloud',
+      oortText: 'A sphere of comets at the edge of the solar system',
+      nebulaTitle: 'Cosmic Nebulae',
+      nebulaText: 'Cradles of forming stars',
+      finalTitle: 'The Infinite Universe',
+      finalText: 'There is still much to explore',
+      return: 'Back to the Solar System',
+      mars: 'Mars',
+      earth: 'Earth',
+      saturn: 'Saturn',
+      jupiter: 'Jupiter',
+      neptune: 'Neptune'
+    }
+  }
+};
+
+// ===== LANGUAGE STATE =====
+/**
+ * Read the saved language preference
+ * @returns {string} Language code
+ */
+function loadLanguage() {
+  const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  return TRANSLATIONS[stored] ? stored : DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = loadLanguage();
+document.documentElement.lang = currentLanguage;
+
+/**
+ * Get the current language code
+ * @returns {string} Language code ('es' or 'en')
+ */
+function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Get the Intl locale of the current language
+ * @returns {string} Locale (e.g. 'es-ES')
+ */
+function getLocale() {
+  return LANGUAGE_LOCALES[currentLanguage];
+}
+
+/**
+ * Translate a key, falling back to Spanish and then to the key itself
+ * @param {string} key - Dot path (e.g. 'form.name')
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Translated text
+ */
+function t(key, params = {}) {
+  const lookup = language => key
+    .split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), TRANSLATIONS[language]);
+
+  let text = lookup(currentLanguage);
+  if (typeof text !== 'string') text = lookup(DEFAULT_LANGUAGE);
+  if (typeof text !== 'string') return key;
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translate static markup:
+ * - data-i18n="key" sets the text content
+ * - data-i18n-attr="attribute:key, attribute:key" sets attributes
+ * @param {ParentNode} root - Element or document to translate
+ */
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr.split(',').forEach(pair => {
+      const [attribute, key] = pair.split(':').map(part => part.trim());
+      element.setAttribute(attribute, t(key));
+    });
+  });
+}
+
+/**
+ * Change the language, translate the page and notify dynamic components
+ * @param {string} language - Language code
+ */
+function setLanguage(language) {
+  if (!TRANSLATIONS[language] || language === currentLanguage) return;
+
+  currentLanguage = language;
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  document.documentElement.lang = language;
+  applyTranslations();
+  updateLanguageSwitcher();
+
+  document.dispatchEvent(new CustomEvent(LANGUAGE_CHANGE_EVENT, { detail: { language } }));
+}
+
+// ===== LANGUAGE SWITCHER =====
+/**
+ * Mark the button of the current language as pressed
+ */
+function updateLanguageSwitcher() {
+  document.querySelectorAll('.language-switcher [data-lang]').forEach(button => {
+    const active = button.dataset.lang === currentLanguage;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-pressed', active);
+  });
+}
+
+/**
+ * Translate the page and bind the header language buttons
+ */
+function initializeI18n() {
+  applyTranslations();
+  updateLanguageSwitcher();
+
+  document.querySelectorAll('.language-switcher [data-lang]').forEach(button => {
+    button.addEventListener('click', () => setLanguage(button.dataset.lang));
+  });
+}
+
+// Registered before the page scripts so static copy is translated first
+document.addEventListener('DOMContentLoaded', initializeI18n);
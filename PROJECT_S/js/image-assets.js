@@ -0,0 +1,8 @@
+// ===== LOCAL IMAGE ASSETS =====
+// Generated by tools/fetch-images.js - do not edit by hand.
+/**
+ * Bundled copies of remote images, by original URL:
+ * files are <path>-<width>.<ext> for each width.
+ * Empty until the tool is run; pages then use the remote URLs.
+ */
+const LOCAL_IMAGES = {};
@@ -0,0 +1,225 @@
+// ===== CONSTANTS =====
+const MISSIONS_DASHBOARD_ID = 'missions-dashboard';
+// Same colors used by the .status-* badges
+const STATUS_COLORS = {
+  active: '#76ff03',
+  completed: '#64b5f6',
+  planned: '#ffb74d'
+};
+const CHART_BAR_COLOR = 'rgb(148, 222, 246)';
+const CHART_BAR_HEIGHT = 22;
+const CHART_LABEL_WIDTH = 150;
+
+// ===== STATISTICS =====
+/**
+ * Compute mission statistics
+ * @param {Array} missions - Missions
+ * @returns {Object} Counts by status, destination and decade plus ratios
+ */
+function computeMissionStats(missions) {
+  const countBy = getKey => missions.reduce((counts, mission) => {
+    const key = getKey(mission);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+
+  const byStatus = { active: 0, completed: 0, planned: 0, ...countBy(mission => mission.status) };
+  const finished = byStatus.active + byStatus.completed;
+
+  return {
+    total: missions.length,
+    byStatus,
+    byDestination: countBy(mission => mission.destination),
+    byDecade: countBy(mission => Math.floor(mission.year / 10) * 10),
+    activeRatio: finished ? byStatus.active / finished : 0,
+    completedRatio: finished ? byStatus.completed / finished : 0
+  };
+}
+
+// ===== MISSION STATS CLASS =====
+/**
+ * Class to render the mission statistics dashboard with SVG charts
+ */
+class MissionStats {
+  constructor(store) {
+    this.store = store;
+    this.container = document.getElementById(MISSIONS_DASHBOARD_ID);
+    if (!this.container) return;
+
+    this.store.subscribe(() => this.render());
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => this.render());
+  }
+
+  /**
+   * Render every chart of the dashboard
+   */
+  render() {
+    const stats = computeMissionStats(this.store.list());
+
+    if (stats.total === 0) {
+      this.container.innerHTML = `<p style="color: #aaa; text-align: center;">${t('stats.empty')}</p>`;
+      return;
+    }
+
+    const statusEntries = MISSION_STATUSES.map(status => ({
+      label: getStatusText(status),
+      value: stats.byStatus[status],
+      color: STATUS_COLORS[status]
+    }));
+
+    const destinationEntries = Object.entries(stats.byDestination)
+      .map(([slug, value]) => ({ label: getDestinationName(slug), value }))
+      .sort((a, b) => b.value - a.value);
+
+    const decadeEntries = Object.entries(stats.byDecade)
+      .sort(([a], [b]) => a - b)
+      .map(([decade, value]) => ({ label: t('stats.decade', { decade }), value }));
+
+    const percent = ratio => `${Math.round(ratio * 100)}%`;
+
+    this.container.innerHTML = `
+      <div class="dashboard-summary">
+        <div class="dashboard-metric">
+          <span class="dashboard-value">${stats.total}</span>
+          <span class="dashboard-label">${t('stats.missions')}</span>
+        </div>
+        <div class="dashboard-metric">
+          <span class="dashboard-value">${percent(stats.activeRatio)}</span>
+          <span class="dashboard-label">${t('stats.activeRatio')}</span>
+        </div>
+        <div class="dashboard-metric">
+          <span class="dashboard-value">${percent(stats.completedRatio)}</span>
+          <span class="dashboard-label">${t('stats.completedRatio')}</span>
+        </div>
+      </div>
+      <div class="dashboard-charts">
+        <figure class="dashboard-chart">
+          <figcaption>${t('stats.byStatus')}</figcaption>
+          <div data-chart="status"></div>
+        </figure>
+        <figure class="dashboard-chart">
+          <figcaption>${t('stats.byDestination')}</figcaption>
+          <div data-chart="destination"></div>
+        </figure>
+        <figure class="dashboard-chart">
+          <figcaption>${t('stats.byDecade')}</figcaption>
+          <div data-chart="decade"></div>
+        </figure>
+      </div>
+    `;
+
+    this.container.querySelector('[data-chart="status"]').appendChild(this.createDonutChart(statusEntries));
+    this.container.querySelector('[data-chart="destination"]').appendChild(this.createBarChart(destinationEntries));
+    this.container.querySelector('[data-chart="decade"]').appendChild(this.createBarChart(decadeEntries));
+  }
+
+  /**
+   * Create a horizontal bar chart
+   * @param {Array} entries - {label, value} entries
+   * @returns {SVGElement} Chart
+   */
+  createBarChart(entries) {
+    const width = 400;
+    const barArea = width - CHART_LABEL_WIDTH - 40;
+    const max = Math.max(...entries.map(entry => entry.value), 1);
+    const height = entries.length * (CHART_BAR_HEIGHT + 8);
+
+    const svg = createSvgElement('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      class: 'chart-svg',
+      role: 'img',
+      'aria-label': entries.map(entry => `${entry.label}: ${entry.value}`).join(', ')
+    });
+
+    entries.forEach((entry, index) => {
+      const y = index * (CHART_BAR_HEIGHT + 8);
+      const barWidth = Math.max((entry.value / max) * barArea, 2);
+
+      const label = createSvgElement('text', {
+        x: CHART_LABEL_WIDTH - 10,
+        y: y + CHART_BAR_HEIGHT / 2,
+        class: 'chart-label',
+        'text-anchor': 'end',
+        'dominant-baseline': 'middle'
+      });
+      label.textContent = entry.label;
+
+      const bar = createSvgElement('rect', {
+        x: CHART_LABEL_WIDTH,
+        y,
+        width: barWidth,
+        height: CHART_BAR_HEIGHT,
+        rx: 4,
+        fill: entry.color || CHART_BAR_COLOR
+      });
+
+      const value = createSvgElement('text', {
+        x: CHART_LABEL_WIDTH + barWidth + 8,
+        y: y + CHART_BAR_HEIGHT / 2,
+        class: 'chart-value',
+        'dominant-baseline': 'middle'
+      });
+      value.textContent = entry.value;
+
+      svg.append(label, bar, value);
+    });
+
+    return svg;
+  }
+
+  /**
+   * Create a donut chart with a legend
+   * @param {Array} entries - {label, value, color} entries
+   * @returns {SVGElement} Chart
+   */
+  createDonutChart(entries) {
+    const radius = 60;
+    const circumference = 2 * Math.PI * radius;
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+
+    const svg = createSvgElement('svg', {
+      viewBox: '0 0 400 160',
+      class: 'chart-svg',
+      role: 'img',
+      'aria-label': entries.map(entry => `${entry.label}: ${entry.value}`).join(', ')
+    });
+
+    let offset = 0;
+    entries.forEach((entry, index) => {
+      const length = total ? (entry.value / total) * circumference : 0;
+
+      if (length > 0) {
+        svg.appendChild(createSvgElement('circle', {
+          cx: 80,
+          cy: 80,
+          r: radius,
+          fill: 'none',
+          stroke: entry.color,
+          'stroke-width': 24,
+          'stroke-dasharray': `${length} ${circumference - length}`,
+          'stroke-dashoffset': -offset,
+          transform: 'rotate(-90 80 80)'
+        }));
+      }
+      offset += length;
+
+      const legendY = 45 + index * 30;
+      svg.appendChild(createSvgElement('rect', {
+        x: 190, y: legendY - 8, width: 16, height: 16, rx: 3, fill: entry.color
+      }));
+      const legend = createSvgElement('text', {
+        x: 215, y: legendY, class: 'chart-label', 'dominant-baseline': 'middle'
+      });
+      legend.textContent = `${entry.label}: ${entry.value}`;
+      svg.appendChild(legend);
+    });
+
+    const center = createSvgElement('text', {
+      x: 80, y: 80, class: 'chart-total', 'text-anchor': 'middle', 'dominant-baseline': 'middle'
+    });
+    center.textContent = total;
+    svg.appendChild(center);
+
+    return svg;
+  }
+}
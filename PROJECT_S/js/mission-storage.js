@@ -0,0 +1,417 @@
+// ===== CONSTANTS =====
+const MISSIONS_SCHEMA_VERSION = 4;
+const MISSIONS_DB_NAME = 'project_s';
+const MISSIONS_DB_STORE = 'missions';
+const STORAGE_BACKEND_META = 'missions-storage';
+const STORAGE_API_META = 'missions-api';
+const MISSIONS_SYNC_CHANNEL = 'project_s_missions';
+const MISSIONS_SYNC_KEY = 'project_s_missions_sync';
+
+// ===== MISSION IDS =====
+/**
+ * Create a random UUID for a new mission
+ * @returns {string} Mission ID
+ */
+function generateMissionId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+
+  // randomUUID needs a secure context; build a version 4 UUID by hand elsewhere
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Get the string id of a mission. Numeric ids from schema version 3
+ * (Date.now() + Math.random()) become a UUID-shaped hash of the number, so
+ * the same old mission gets the same id in every tab and in old exports.
+ * @param {number|string} id - Stored or imported id
+ * @returns {string} Mission ID
+ */
+function toMissionId(id) {
+  const isLegacy = typeof id === 'number' || /^\d+(\.\d+)?$/.test(id);
+  if (!isLegacy) return String(id);
+
+  const text = String(Number(id));
+  // Four FNV-1a hashes with different seeds give the 128 bits
+  const hex = [0x811c9dc5, 0x050c5d1f, 0x23a5c7b3, 0x6b43a9b5].map(seed => {
+    let hash = seed;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }).join('');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20)}`;
+}
+
+// ===== SCHEMA MIGRATIONS =====
+/**
+ * Migrations keyed by the version they produce. Each one receives the data
+ * stored with the previous version and returns the upgraded data.
+ */
+const MISSION_MIGRATIONS = {
+  // Version 0 was a plain array of missions without a version field
+  1: (data) => ({
+    version: 1,
+    missions: (Array.isArray(data) ? data : data.missions || []).map(mission => ({
+      ...mission,
+      year: parseInt(mission.year),
+      createdAt: mission.createdAt || new Date().toISOString()
+    }))
+  }),
+  // Version 2 adds the trash of soft-deleted missions
+  2: (data) => ({
+    ...data,
+    version: 2,
+    trash: []
+  }),
+  // Version 3 links destinations to the catalog and adds the richer mission fields
+  3: (data) => {
+    const upgrade = mission => {
+      const slug = resolveDestination(mission.destination);
+      const originalNote = slug ? '' : `Destino original: ${mission.destination}`;
+      return {
+        ...mission,
+        destination: slug || 'otro',
+        agency: mission.agency || '',
+        type: mission.type || '',
+        crewed: Boolean(mission.crewed),
+        launchDate: mission.launchDate || '',
+        arrivalDate: mission.arrivalDate || '',
+        imageUrl: mission.imageUrl || '',
+        notes: [mission.notes, originalNote].filter(Boolean).join('\n')
+      };
+    };
+    return {
+      ...data,
+      version: 3,
+      missions: data.missions.map(upgrade),
+      trash: data.trash.map(upgrade)
+    };
+  },
+  // Version 4 replaces the float ids with string ids
+  4: (data) => {
+    const upgrade = mission => ({ ...mission, id: toMissionId(mission.id) });
+    return {
+      ...data,
+      version: 4,
+      missions: data.missions.map(upgrade),
+      trash: data.trash.map(upgrade)
+    };
+  }
+};
+
+/**
+ * Upgrade stored missions data to the current schema version
+ * @param {Object|Array} data - Stored data
+ * @returns {Object} Data with version and missions
+ */
+function migrateMissionsData(data) {
+  let version = Array.isArray(data) ? 0 : data.version || 0;
+
+  if (version > MISSIONS_SCHEMA_VERSION) {
+    throw new Error(t('storage.unsupportedVersion', { version }));
+  }
+
+  let migrated = data;
+  while (version < MISSIONS_SCHEMA_VERSION) {
+    version++;
+    migrated = MISSION_MIGRATIONS[version](migrated);
+  }
+
+  if (!Array.isArray(migrated.missions)) {
+    throw new Error(t('storage.invalidFormat'));
+  }
+  return migrated;
+}
+
+// ===== STORAGE ADAPTERS =====
+/**
+ * Storage adapter interface:
+ * - load(): Promise resolving to the stored data, or null when nothing is stored
+ * - save(data): Promise resolving once data is stored
+ */
+
+/**
+ * Adapter that stores missions in localStorage
+ */
+class LocalStorageAdapter {
+  constructor(key = MISSIONS_STORAGE_KEY) {
+    this.key = key;
+  }
+
+  async load() {
+    const stored = localStorage.getItem(this.key);
+    if (stored === null) return null;
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      // Keep the corrupt value so the next save does not destroy it
+      localStorage.setItem(`${this.key}_backup`, stored);
+      throw new Error(t('storage.corrupt'));
+    }
+  }
+
+  async save(data) {
+    localStorage.setItem(this.key, JSON.stringify(data));
+  }
+}
+
+/**
+ * Adapter that stores missions in IndexedDB
+ */
+class IndexedDBAdapter {
+  constructor(key = MISSIONS_STORAGE_KEY) {
+    this.key = key;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+          reject(new Error(t('storage.indexedDBUnavailable')));
+          return;
+        }
+        const request = indexedDB.open(MISSIONS_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(MISSIONS_DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the missions object store
+   * @param {string} mode - Transaction mode
+   * @param {Function} operation - Receives the store and returns a request
+   * @returns {Promise} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(MISSIONS_DB_STORE, mode);
+      const request = operation(transaction.objectStore(MISSIONS_DB_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async load() {
+    const data = await this.run('readonly', store => store.get(this.key));
+    return data === undefined ? null : data;
+  }
+
+  async save(data) {
+    await this.run('readwrite', store => store.put(data, this.key));
+  }
+}
+
+/**
+ * Adapter that stores missions on a REST endpoint (GET and PUT the whole list).
+ * A local copy keeps missions readable and editable offline; changes saved
+ * offline stay pending and are sent when the connection comes back.
+ */
+class RestStorageAdapter {
+  constructor(url, key = MISSIONS_STORAGE_KEY) {
+    this.url = url;
+    this.localCopy = new LocalStorageAdapter(`${key}_offline`);
+    this.pendingKey = `${key}_pending`;
+
+    window.addEventListener('online', () => {
+      this.sync().catch(error => console.error('Error syncing missions:', error));
+    });
+  }
+
+  /**
+   * Check whether the local copy has changes the server has not received
+   * @returns {boolean} True if changes are pending
+   */
+  hasPendingChanges() {
+    return localStorage.getItem(this.pendingKey) !== null;
+  }
+
+  async load() {
+    // Unsent offline changes are newer than the server data
+    if (this.hasPendingChanges()) {
+      this.sync().catch(error => console.error('Error syncing missions:', error));
+      return this.localCopy.load();
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, { headers: { Accept: 'application/json' } });
+    } catch (error) {
+      const cached = await this.localCopy.load();
+      if (cached === null) throw new Error(t('storage.offline'));
+      return cached;
+    }
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(t('storage.serverError', { status: response.status }));
+    }
+    const data = await response.json();
+    await this.localCopy.save(data);
+    return data;
+  }
+
+  async save(data) {
+    await this.localCopy.save(data);
+    const revision = Number(localStorage.getItem(this.pendingKey) || 0) + 1;
+    localStorage.setItem(this.pendingKey, String(revision));
+    await this.sync();
+  }
+
+  /**
+   * Send the local copy to the server when it has pending changes
+   */
+  async sync() {
+    if (!this.hasPendingChanges() || !navigator.onLine) return;
+
+    const revision = localStorage.getItem(this.pendingKey);
+    const data = await this.localCopy.load();
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data)
+      });
+    } catch (error) {
+      // Network unreachable: keep the changes pending until the next sync
+      return;
+    }
+
+    if (!response.ok) {
+      throw new Error(t('storage.serverError', { status: response.status }));
+    }
+    // A save made while the request was in flight is still pending
+    if (localStorage.getItem(this.pendingKey) === revision) {
+      localStorage.removeItem(this.pendingKey);
+    }
+  }
+}
+
+/**
+ * Create the storage adapter configured in the page meta tags
+ * @returns {Object} Storage adapter
+ */
+function createMissionStorage() {
+  const getMeta = name => {
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta ? meta.content : '';
+  };
+
+  switch (getMeta(STORAGE_BACKEND_META)) {
+    case 'indexedDB':
+      return new IndexedDBAdapter();
+    case 'rest':
+      return new RestStorageAdapter(getMeta(STORAGE_API_META));
+    default:
+      return new LocalStorageAdapter();
+  }
+}
+
+// ===== CROSS-TAB SYNC =====
+/**
+ * Tells the other tabs of the site that missions were saved, through
+ * BroadcastChannel or, where it is missing, the localStorage `storage` event
+ */
+class MissionSyncChannel {
+  constructor(name = MISSIONS_SYNC_CHANNEL) {
+    this.tabId = `${Date.now()}-${Math.random()}`;
+    this.listeners = [];
+
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(name);
+      this.channel.addEventListener('message', event => this.receive(event.data));
+    } else {
+      this.channel = null;
+      window.addEventListener('storage', event => {
+        if (event.key !== MISSIONS_SYNC_KEY || !event.newValue) return;
+        try {
+          this.receive(JSON.parse(event.newValue));
+        } catch (error) {
+          console.error('Error reading sync message:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Send a message to the other tabs
+   * @param {Object} message - Message with a type and its data
+   */
+  publish(message) {
+    const payload = { ...message, from: this.tabId, sentAt: Date.now() };
+    if (this.channel) {
+      this.channel.postMessage(payload);
+    } else {
+      // sentAt makes every value different, so the storage event always fires
+      localStorage.setItem(MISSIONS_SYNC_KEY, JSON.stringify(payload));
+    }
+  }
+
+  /**
+   * Register a callback for messages from other tabs
+   * @param {Function} listener - Receives the message
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  receive(message) {
+    if (!message || message.from === this.tabId) return;
+    this.listeners.forEach(listener => listener(message));
+  }
+}
+
+/**
+ * Merge two versions of a missions list that both started from `base`.
+ * A mission changed on one side only keeps that change; when both sides
+ * changed it differently, the remote version wins and is reported as a conflict.
+ * @param {Array} base - List both versions started from
+ * @param {Array} local - This tab's list
+ * @param {Array} remote - List saved by another tab
+ * @returns {Object} {merged, conflicts} with the ids of conflicting missions
+ */
+function mergeMissionLists(base, local, remote) {
+  const byId = list => new Map(list.map(mission => [mission.id, mission]));
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const baseMissions = byId(base);
+  const localMissions = byId(local);
+  const remoteMissions = byId(remote);
+  const merged = [];
+  const conflicts = [];
+
+  // Remote order first, then the missions only this tab has
+  const ids = new Set([...remoteMissions.keys(), ...localMissions.keys()]);
+  ids.forEach(id => {
+    const original = baseMissions.get(id);
+    const mine = localMissions.get(id);
+    const theirs = remoteMissions.get(id);
+    const localChanged = !same(original, mine);
+    const remoteChanged = !same(original, theirs);
+
+    let result = theirs;
+    if (localChanged && !remoteChanged) {
+      result = mine;
+    } else if (localChanged && remoteChanged && !same(mine, theirs)) {
+      conflicts.push(id);
+    }
+    if (result) merged.push(result);
+  });
+
+  return { merged, conflicts };
+}
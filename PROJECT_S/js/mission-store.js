@@ -0,0 +1,544 @@
+// ===== CONSTANTS =====
+const HISTORY_LIMIT = 50;
+
+// ===== MISSION CLASS =====
+/**
+ * Class representing a space mission
+ */
+class Mission {
+  constructor(data) {
+    this.id = generateMissionId();
+    Object.assign(this, Mission.normalize(data));
+    this.createdAt = new Date().toISOString();
+  }
+
+  /**
+   * Normalize editable mission fields coming from forms or imports
+   * @param {Object} data - Raw mission data
+   * @returns {Object} Mission fields
+   */
+  static normalize(data) {
+    return {
+      name: String(data.name || '').trim(),
+      destination: data.destination,
+      year: parseInt(data.year),
+      status: data.status,
+      agency: String(data.agency || '').trim(),
+      type: data.type || '',
+      crewed: data.crewed === true || data.crewed === 'true',
+      launchDate: data.launchDate || '',
+      arrivalDate: data.arrivalDate || '',
+      imageUrl: String(data.imageUrl || '').trim(),
+      notes: String(data.notes || '').trim()
+    };
+  }
+}
+
+/**
+ * Error thrown when mission data breaks the schema
+ */
+class MissionValidationError extends Error {
+  /**
+   * @param {Object} errors - Error messages keyed by field
+   */
+  constructor(errors) {
+    super(Object.values(errors)[0]);
+    this.name = 'MissionValidationError';
+    this.errors = errors;
+  }
+}
+
+// ===== MISSION STORE CLASS =====
+/**
+ * Missions and trash with persistence, validation, undo history and
+ * cross-tab sync, without any DOM code. Views read missions through
+ * list()/get() (treat them as read-only) and redraw on change events.
+ *
+ * Change events passed to subscribe() listeners, as {type, ...}:
+ * - load: missions loaded from storage
+ * - create, update, remove, restore, purge, emptyTrash, import: with the mission or count
+ * - undo, redo: with the command label
+ * - sync: another tab's changes were merged ({conflicts}: missions changed in both)
+ * - error: storage failed or a change was refused ({message})
+ *
+ * Changes are refused until the first load finishes (saving then would
+ * overwrite the stored missions with an empty list). When loading fails the
+ * store shows the default missions but becomes read-only: saving them would
+ * overwrite the data that could not be read.
+ */
+class MissionStore {
+  constructor(storage = createMissionStorage()) {
+    this.storage = storage;
+    this.missions = [];
+    this.trash = [];
+    this.undoStack = [];
+    this.redoStack = [];
+    this.listeners = [];
+    this.loading = true;
+    this.readOnly = false;
+    // Last state read from or written to storage: the common base when merging other tabs' changes
+    this.syncedState = null;
+    this.sync = new MissionSyncChannel();
+    this.sync.subscribe(message => this.applyRemoteChange(message.data));
+
+    this.ready = this.load().then(data => {
+      this.missions = data.missions;
+      this.trash = data.trash;
+      this.syncedState = this.getStateSnapshot();
+      this.loading = false;
+      this.emit({ type: 'load' });
+    });
+  }
+
+  /**
+   * Get every mission
+   * @returns {Array} Missions in creation order
+   */
+  list() {
+    return [...this.missions];
+  }
+
+  /**
+   * Get a mission by id
+   * @param {string} id - Mission ID
+   * @returns {Object|null} Mission
+   */
+  get(id) {
+    return this.missions.find(mission => mission.id === id) || null;
+  }
+
+  /**
+   * Get the missions in the trash
+   * @returns {Array} Trashed missions, newest first
+   */
+  listTrash() {
+    return [...this.trash];
+  }
+
+  /**
+   * Get the labels of the commands undo() and redo() would run
+   * @returns {Object} {undo, redo} labels, null when there is nothing to run
+   */
+  getHistory() {
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    const lastRedo = this.redoStack[this.redoStack.length - 1];
+    return {
+      undo: lastUndo ? lastUndo.label : null,
+      redo: lastRedo ? lastRedo.label : null
+    };
+  }
+
+  /**
+   * Register a callback run after every change
+   * @param {Function} listener - Receives the change event
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Run every listener
+   * @param {Object} event - Change event
+   */
+  emit(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  /**
+   * Create a mission
+   * @param {Object} data - Mission fields
+   * @returns {Object|null} New mission, null if the store is read-only
+   * @throws {MissionValidationError} When the data is invalid
+   */
+  create(data) {
+    if (!this.canWrite()) return null;
+    this.assertValid(data);
+    const mission = new Mission(data);
+
+    this.executeCommand({
+      label: t('history.create', { name: mission.name }),
+      execute: () => this.missions.push(mission),
+      revert: () => {
+        this.missions = this.missions.filter(m => m.id !== mission.id);
+      }
+    }, { type: 'create', mission });
+    return mission;
+  }
+
+  /**
+   * Update some or all fields of a mission
+   * @param {string} id - Mission ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} Updated mission, null if it does not exist
+   * @throws {MissionValidationError} When the result is invalid
+   */
+  update(id, changes) {
+    if (!this.canWrite()) return null;
+    const mission = this.get(id);
+    if (!mission) return null;
+
+    const before = { ...mission };
+    const fields = { ...before, ...changes };
+    this.assertValid(fields);
+    const after = { ...before, ...Mission.normalize(fields) };
+    const apply = values => {
+      const target = this.get(id);
+      if (target) Object.assign(target, values);
+    };
+
+    this.executeCommand({
+      label: t('history.edit', { name: before.name }),
+      execute: () => apply(after),
+      revert: () => apply(before)
+    }, { type: 'update', mission });
+    return mission;
+  }
+
+  /**
+   * Move a mission to the trash
+   * @param {string} id - Mission ID
+   * @returns {Object|null} Removed mission
+   */
+  remove(id) {
+    if (!this.canWrite()) return null;
+    const index = this.missions.findIndex(mission => mission.id === id);
+    if (index === -1) return null;
+    const mission = this.missions[index];
+
+    this.executeCommand({
+      label: t('history.delete', { name: mission.name }),
+      type: 'remove',
+      missionId: id,
+      execute: () => {
+        this.missions = this.missions.filter(m => m.id !== id);
+        this.trash.unshift({ ...mission, deletedAt: new Date().toISOString() });
+      },
+      revert: () => {
+        this.trash = this.trash.filter(m => m.id !== id);
+        this.missions.splice(index, 0, mission);
+      }
+    }, { type: 'remove', mission });
+    return mission;
+  }
+
+  /**
+   * Restore a mission from the trash
+   * @param {string} id - Mission ID
+   */
+  restore(id) {
+    if (!this.canWrite()) return;
+    const index = this.trash.findIndex(mission => mission.id === id);
+    if (index === -1) return;
+    const trashed = this.trash[index];
+    const { deletedAt, ...mission } = trashed;
+
+    this.executeCommand({
+      label: t('history.restore', { name: mission.name }),
+      execute: () => {
+        this.trash = this.trash.filter(m => m.id !== id);
+        this.missions.push(mission);
+      },
+      revert: () => {
+        this.missions = this.missions.filter(m => m.id !== id);
+        this.trash.splice(index, 0, trashed);
+      }
+    }, { type: 'restore', mission });
+  }
+
+  /**
+   * Undo the removal of a mission: pops it from the history when it is the
+   * last command, otherwise restores the mission as a new command
+   * @param {string} id - Mission ID
+   */
+  undoRemove(id) {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last && last.type === 'remove' && last.missionId === id) {
+      this.undo();
+    } else {
+      this.restore(id);
+    }
+  }
+
+  /**
+   * Permanently remove a mission from the trash
+   * @param {string} id - Mission ID
+   */
+  purge(id) {
+    if (!this.canWrite()) return;
+    const index = this.trash.findIndex(mission => mission.id === id);
+    if (index === -1) return;
+    const trashed = this.trash[index];
+
+    this.executeCommand({
+      label: t('history.purge', { name: trashed.name }),
+      execute: () => {
+        this.trash = this.trash.filter(m => m.id !== id);
+      },
+      revert: () => {
+        this.trash.splice(index, 0, trashed);
+      }
+    }, { type: 'purge', mission: trashed });
+  }
+
+  /**
+   * Permanently remove every mission in the trash
+   */
+  emptyTrash() {
+    if (!this.canWrite() || this.trash.length === 0) return;
+    const before = this.trash;
+
+    this.executeCommand({
+      label: t('history.empty'),
+      execute: () => {
+        this.trash = [];
+      },
+      revert: () => {
+        this.trash = before;
+      }
+    }, { type: 'emptyTrash', count: before.length });
+  }
+
+  /**
+   * Add imported missions (merge by id) or replace every mission
+   * @param {Array} missions - Validated missions
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {boolean} False if the store is read-only
+   */
+  import(missions, mode) {
+    if (!this.canWrite()) return false;
+    const before = this.missions;
+    let after = missions;
+
+    if (mode !== 'replace') {
+      after = [...before];
+      missions.forEach(mission => {
+        const index = after.findIndex(m => m.id === mission.id);
+        if (index === -1) {
+          after.push(mission);
+        } else {
+          after[index] = mission;
+        }
+      });
+    }
+
+    this.executeCommand({
+      label: t('history.import', { count: missions.length }),
+      execute: () => {
+        this.missions = after;
+      },
+      revert: () => {
+        this.missions = before;
+      }
+    }, { type: 'import', count: missions.length });
+    return true;
+  }
+
+  /**
+   * Check whether the store accepts changes (loaded and not read-only)
+   * @returns {boolean} True if writable
+   */
+  isWritable() {
+    return !this.loading && !this.readOnly;
+  }
+
+  /**
+   * Check that changes can be made, emitting an error when they cannot
+   * @returns {boolean} True if the store accepts changes
+   */
+  canWrite() {
+    if (this.loading) {
+      this.emit({ type: 'error', message: t('missions.notLoaded') });
+      return false;
+    }
+    if (this.readOnly) {
+      this.emit({ type: 'error', message: t('missions.readOnly') });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Throw when mission data breaks the schema
+   * @param {Object} data - Mission fields
+   */
+  assertValid(data) {
+    // Date rules relative to today are the forms' job: stored missions must stay editable
+    const errors = validateMission(data, { timeRelative: false });
+    if (Object.keys(errors).length > 0) throw new MissionValidationError(errors);
+  }
+
+  /**
+   * Run a command and record it in the undo history
+   * @param {Object} command - {label, execute, revert}, plus anything that identifies it
+   * @param {Object} event - Change event to emit
+   */
+  executeCommand(command, event) {
+    command.execute();
+    this.undoStack.push(command);
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.commit(event);
+  }
+
+  /**
+   * Undo the last command
+   */
+  undo() {
+    if (!this.canWrite()) return;
+    const command = this.undoStack.pop();
+    if (!command) return;
+    command.revert();
+    this.redoStack.push(command);
+    this.commit({ type: 'undo', label: command.label });
+  }
+
+  /**
+   * Redo the last undone command
+   */
+  redo() {
+    if (!this.canWrite()) return;
+    const command = this.redoStack.pop();
+    if (!command) return;
+    command.execute();
+    this.undoStack.push(command);
+    this.commit({ type: 'redo', label: command.label });
+  }
+
+  /**
+   * Persist and announce a change
+   * @param {Object} event - Change event
+   */
+  commit(event) {
+    this.save();
+    this.emit(event);
+  }
+
+  /**
+   * Load missions and trash from the storage adapter
+   * @returns {Promise<Object>} Missions and trash arrays
+   */
+  async load() {
+    try {
+      const data = await this.storage.load();
+      if (data === null) return { missions: this.getDefaultMissions(), trash: [] };
+      const migrated = migrateMissionsData(data);
+      return { missions: migrated.missions, trash: migrated.trash || [] };
+    } catch (error) {
+      console.error('Error loading missions:', error);
+      this.readOnly = true;
+      this.emit({ type: 'error', message: t('missions.loadError', { message: error.message }) });
+      return { missions: this.getDefaultMissions(), trash: [] };
+    }
+  }
+
+  /**
+   * Save missions through the storage adapter and tell the other tabs
+   * @returns {Promise} Resolves once saved (errors are emitted, not thrown)
+   */
+  async save() {
+    if (this.readOnly) return;
+
+    // Copy now: the lists may change again before the save finishes
+    const state = this.getStateSnapshot();
+    const data = { version: MISSIONS_SCHEMA_VERSION, ...state };
+    try {
+      await this.storage.save(data);
+      this.syncedState = state;
+      this.sync.publish({ type: 'saved', data });
+    } catch (error) {
+      console.error('Error saving missions:', error);
+      this.emit({ type: 'error', message: t('missions.saveError', { message: error.message }) });
+    }
+  }
+
+  /**
+   * Get default missions
+   * @returns {Array} Array of default missions
+   */
+  getDefaultMissions() {
+    return [
+      new Mission({
+        name: 'Voyager 1',
+        destination: 'espacio-interestelar',
+        year: 1977,
+        status: 'active',
+        agency: 'NASA',
+        type: 'flyby',
+        launchDate: '1977-09-05'
+      }),
+      new Mission({
+        name: 'Apollo 11',
+        destination: 'luna',
+        year: 1969,
+        status: 'completed',
+        agency: 'NASA',
+        type: 'lander',
+        crewed: true,
+        launchDate: '1969-07-16',
+        arrivalDate: '1969-07-20'
+      }),
+      new Mission({
+        name: 'Mars 2020',
+        destination: 'marte',
+        year: 2020,
+        status: 'active',
+        agency: 'NASA',
+        type: 'rover',
+        launchDate: '2020-07-30',
+        arrivalDate: '2021-02-18'
+      })
+    ];
+  }
+
+  /**
+   * Get a plain copy of the missions and trash
+   * @returns {Object} {missions, trash}
+   */
+  getStateSnapshot() {
+    return JSON.parse(JSON.stringify({ missions: this.missions, trash: this.trash }));
+  }
+
+  /**
+   * Merge missions saved by another tab into this one
+   * @param {Object} data - Stored data sent by the other tab
+   */
+  applyRemoteChange(data) {
+    // The first load already reads the latest saved state
+    if (this.loading) return;
+
+    let remote;
+    try {
+      remote = migrateMissionsData(data);
+    } catch (error) {
+      console.error('Error reading missions from another tab:', error);
+      return;
+    }
+
+    const remoteState = { missions: remote.missions, trash: remote.trash || [] };
+    const base = this.syncedState || { missions: [], trash: [] };
+    const previous = this.missions;
+    const missions = mergeMissionLists(base.missions, this.missions, remoteState.missions);
+    const trash = mergeMissionLists(base.trash, this.trash, remoteState.trash);
+
+    this.missions = missions.merged;
+    this.trash = trash.merged;
+    this.syncedState = JSON.parse(JSON.stringify(remoteState));
+    // Undo entries were recorded against the old lists and could revert the other tab's work
+    this.undoStack = [];
+    this.redoStack = [];
+
+    const conflicts = missions.conflicts.map(id => this.get(id) || previous.find(m => m.id === id));
+    this.emit({ type: 'sync', conflicts });
+
+    // Changes only this tab has still need saving (and sending back)
+    if (JSON.stringify(this.getStateSnapshot()) !== JSON.stringify(remoteState)) {
+      this.save();
+    }
+  }
+}
@@ -0,0 +1,177 @@
+// ===== CONSTANTS =====
+const MISSIONS_TIMELINE_ID = 'missions-timeline';
+// Visible spans in years, from the whole range down to a single decade
+const TIMELINE_ZOOM_LEVELS = [MAX_YEAR - MIN_YEAR + 1, 50, 20, 10];
+const TIMELINE_DECADE = 10;
+const TIMELINE_LANE_HEIGHT = 34;
+
+// ===== MISSION TIMELINE CLASS =====
+/**
+ * Class to show missions on a horizontal timeline by launch year
+ */
+class MissionTimeline {
+  constructor(store, missionList, editModal) {
+    this.store = store;
+    this.missionList = missionList;
+    this.editModal = editModal;
+    this.container = document.getElementById(MISSIONS_TIMELINE_ID);
+    this.listContainer = document.getElementById(MISSIONS_LIST_ID);
+    this.viewButtons = document.querySelectorAll('.btn-view');
+    this.zoomIndex = 0;
+    this.startYear = MIN_YEAR;
+    if (!this.container) return;
+
+    this.initializeControls();
+    this.store.subscribe(() => this.render());
+    this.missionList.onFilterChange(() => this.render());
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => this.render());
+  }
+
+  /**
+   * Initialize view toggle, zoom and pan controls
+   */
+  initializeControls() {
+    this.viewButtons.forEach(button => {
+      button.addEventListener('click', () => this.setView(button.dataset.view));
+    });
+
+    this.container.addEventListener('click', (e) => {
+      const entry = e.target.closest('.timeline-entry');
+      if (entry) {
+        this.editModal.open(entry.dataset.id);
+        return;
+      }
+
+      const control = e.target.closest('[data-timeline]');
+      if (!control) return;
+
+      const ACTIONS = {
+        'zoom-in': () => this.zoom(1),
+        'zoom-out': () => this.zoom(-1),
+        'previous': () => this.pan(-TIMELINE_DECADE),
+        'next': () => this.pan(TIMELINE_DECADE)
+      };
+      ACTIONS[control.dataset.timeline]();
+    });
+  }
+
+  /**
+   * Switch between list and timeline views
+   * @param {string} view - 'list' or 'timeline'
+   */
+  setView(view) {
+    const showTimeline = view === 'timeline';
+    this.container.hidden = !showTimeline;
+    this.listContainer.hidden = showTimeline;
+    // The list skips windowing while hidden
+    if (!showTimeline) this.missionList.updateWindow(true);
+
+    this.viewButtons.forEach(button => {
+      const active = button.dataset.view === view;
+      button.classList.toggle(ACTIVE_CLASS, active);
+      button.setAttribute('aria-pressed', active);
+    });
+
+    this.render();
+  }
+
+  /**
+   * Get the number of years currently visible
+   * @returns {number} Visible span
+   */
+  getSpan() {
+    return TIMELINE_ZOOM_LEVELS[this.zoomIndex];
+  }
+
+  /**
+   * Zoom in or out, keeping the start aligned to a decade
+   * @param {number} direction - 1 to zoom in, -1 to zoom out
+   */
+  zoom(direction) {
+    const nextIndex = this.zoomIndex + direction;
+    if (nextIndex < 0 || nextIndex >= TIMELINE_ZOOM_LEVELS.length) return;
+
+    const center = this.startYear + this.getSpan() / 2;
+    this.zoomIndex = nextIndex;
+    const decadeStart = Math.floor((center - this.getSpan() / 2) / TIMELINE_DECADE) * TIMELINE_DECADE;
+    this.startYear = this.clampStart(decadeStart);
+    this.render();
+  }
+
+  /**
+   * Move the visible window
+   * @param {number} years - Years to move (negative moves back)
+   */
+  pan(years) {
+    this.startYear = this.clampStart(this.startYear + years);
+    this.render();
+  }
+
+  /**
+   * Keep the visible window inside MIN_YEAR..MAX_YEAR
+   * @param {number} start - Desired start year
+   * @returns {number} Valid start year
+   */
+  clampStart(start) {
+    return Math.max(MIN_YEAR, Math.min(start, MAX_YEAR + 1 - this.getSpan()));
+  }
+
+  /**
+   * Render axis and mission entries for the visible window
+   */
+  render() {
+    if (!this.container || this.container.hidden) return;
+
+    const span = this.getSpan();
+    const endYear = this.startYear + span - 1;
+    const missions = this.missionList.applyFilters(this.store.list())
+      .filter(mission => mission.year >= this.startYear && mission.year <= endYear)
+      .sort((a, b) => a.year - b.year);
+
+    const position = year => ((year - this.startYear + 0.5) / span) * 100;
+
+    // Stack missions launched close together in separate lanes
+    const laneEnds = [];
+    const minGap = span / 12;
+    const entries = missions.map(mission => {
+      let lane = laneEnds.findIndex(end => mission.year - end >= minGap);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = mission.year;
+
+      // Entries near the right edge show their label on the left of the dot
+      const left = position(mission.year);
+      return `
+        <button type="button"
+                class="timeline-entry ${getStatusClass(mission.status)} ${left > 70 ? 'timeline-entry-end' : ''}"
+                data-id="${mission.id}"
+                style="left: ${left}%; top: ${lane * TIMELINE_LANE_HEIGHT}px"
+                title="${escapeHtml(`${mission.name} (${mission.year}) - ${getStatusText(mission.status)}`)}">
+          <span class="timeline-dot"></span>
+          <span class="timeline-label">${escapeHtml(mission.name)}</span>
+        </button>
+      `;
+    });
+
+    const tickStep = span > 50 ? 20 : TIMELINE_DECADE;
+    const firstTick = Math.ceil(this.startYear / tickStep) * tickStep;
+    const ticks = [];
+    for (let year = firstTick; year <= endYear; year += tickStep) {
+      ticks.push(`<span class="timeline-tick" style="left: ${position(year)}%">${year}</span>`);
+    }
+
+    this.container.innerHTML = `
+      <div class="timeline-controls">
+        <button type="button" class="btn-history" data-timeline="previous" ${this.startYear <= MIN_YEAR ? 'disabled' : ''} aria-label="${t('timeline.previous')}">←</button>
+        <span class="timeline-range">${this.startYear} – ${endYear}</span>
+        <button type="button" class="btn-history" data-timeline="next" ${endYear >= MAX_YEAR ? 'disabled' : ''} aria-label="${t('timeline.next')}">→</button>
+        <button type="button" class="btn-history" data-timeline="zoom-out" ${this.zoomIndex === 0 ? 'disabled' : ''} aria-label="${t('timeline.zoomOut')}">−</button>
+        <button type="button" class="btn-history" data-timeline="zoom-in" ${this.zoomIndex === TIMELINE_ZOOM_LEVELS.length - 1 ? 'disabled' : ''} aria-label="${t('timeline.zoomIn')}">+</button>
+      </div>
+      <div class="timeline-track" style="height: ${Math.max(laneEnds.length, 1) * TIMELINE_LANE_HEIGHT + 10}px">
+        ${entries.join('')}
+      </div>
+      <div class="timeline-axis">${ticks.join('')}</div>
+      ${missions.length === 0 ? `<p style="color: #aaa; text-align: center;">${t('timeline.empty')}</p>` : ''}
+    `;
+  }
+}
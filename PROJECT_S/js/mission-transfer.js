@@ -0,0 +1,329 @@
+// ===== CONSTANTS =====
+const MISSION_TRANSFER_ID = 'missions-transfer';
+const MISSION_CSV_FIELDS = [
+  'id', 'name', 'destination', 'agency', 'type', 'crewed', 'year',
+  'launchDate', 'arrivalDate', 'status', 'imageUrl', 'notes', 'createdAt'
+];
+
+// ===== CSV HELPERS =====
+/**
+ * Convert rows of values to CSV text
+ * @param {Array} rows - Array of arrays of values
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  return rows
+    .map(row => row
+      .map(value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(','))
+    .join('\n');
+}
+
+/**
+ * Parse CSV text into rows of values (supports quoted fields)
+ * @param {string} text - CSV text
+ * @returns {Array} Array of arrays of values
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// ===== MISSION TRANSFER CLASS =====
+/**
+ * Class to export missions to JSON/CSV and import them back with a preview
+ */
+class MissionTransfer {
+  constructor(store) {
+    this.store = store;
+    this.container = document.getElementById(MISSION_TRANSFER_ID);
+    this.pendingImport = null;
+    if (!this.container) return;
+
+    this.fileInput = this.container.querySelector('#missions-import-file');
+    this.modeSelect = this.container.querySelector('#missions-import-mode');
+    this.preview = this.container.querySelector('.import-preview');
+    this.initializeControls();
+    this.updateAvailability();
+
+    store.subscribe(() => this.updateAvailability());
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      if (this.pendingImport) this.renderPreview();
+    });
+  }
+
+  /**
+   * Disable importing while the store is loading or read-only
+   */
+  updateAvailability() {
+    const writable = this.store.isWritable();
+    this.fileInput.disabled = !writable;
+
+    const confirmButton = this.preview.querySelector('.btn-import-confirm');
+    if (confirmButton) confirmButton.disabled = !writable || this.pendingImport.valid.length === 0;
+  }
+
+  /**
+   * Initialize export/import controls
+   */
+  initializeControls() {
+    this.container.querySelector('.btn-export-json').addEventListener('click', () => this.exportJson());
+    this.container.querySelector('.btn-export-csv').addEventListener('click', () => this.exportCsv());
+
+    this.fileInput.addEventListener('change', () => {
+      const file = this.fileInput.files[0];
+      if (file) this.readFile(file);
+    });
+
+    this.modeSelect.addEventListener('change', () => {
+      if (this.pendingImport) this.renderPreview();
+    });
+
+    this.preview.addEventListener('click', (e) => {
+      if (e.target.classList.contains('btn-import-confirm')) {
+        this.confirmImport();
+      } else if (e.target.classList.contains('btn-import-cancel')) {
+        this.clearPreview();
+      }
+    });
+  }
+
+  /**
+   * Download missions as JSON
+   */
+  exportJson() {
+    const content = JSON.stringify(this.store.list(), null, 2);
+    this.download(content, 'application/json', 'json');
+  }
+
+  /**
+   * Download missions as CSV
+   */
+  exportCsv() {
+    const rows = this.store.list().map(mission => MISSION_CSV_FIELDS.map(field => mission[field]));
+    const content = toCsv([MISSION_CSV_FIELDS, ...rows]);
+    this.download(content, 'text/csv', 'csv');
+  }
+
+  /**
+   * Trigger a file download
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   * @param {string} extension - File extension
+   */
+  download(content, type, extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${t('transfer.fileName')}-${date}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read an import file and show its preview
+   * @param {File} file - Selected file
+   */
+  readFile(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        const records = file.name.toLowerCase().endsWith('.csv')
+          ? this.parseCsvRecords(reader.result)
+          : this.parseJsonRecords(reader.result);
+        this.pendingImport = this.validateRecords(records);
+        this.renderPreview();
+      } catch (error) {
+        this.showReadError(error.message);
+      }
+    });
+    reader.addEventListener('error', () => {
+      this.showReadError(reader.error ? reader.error.message : file.name);
+    });
+    reader.readAsText(file);
+  }
+
+  /**
+   * Drop the pending import and explain why the file could not be used
+   * @param {string} message - Error details
+   */
+  showReadError(message) {
+    this.pendingImport = null;
+    this.preview.innerHTML = `<p class="import-error">${t('transfer.readError', { message: escapeHtml(message) })}</p>`;
+    showToast(t('transfer.readError', { message }));
+  }
+
+  /**
+   * Parse JSON import content
+   * @param {string} text - File content
+   * @returns {Array} Raw records
+   */
+  parseJsonRecords(text) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data && data.missions;
+    if (!Array.isArray(records)) {
+      throw new Error(t('transfer.jsonList'));
+    }
+    return records;
+  }
+
+  /**
+   * Parse CSV import content using its header row
+   * @param {string} text - File content
+   * @returns {Array} Raw records
+   */
+  parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.includes('name')) {
+      throw new Error(t('transfer.csvHeader', { fields: MISSION_CSV_FIELDS.join(', ') }));
+    }
+    return rows.map(row => {
+      const record = {};
+      header.forEach((field, index) => {
+        record[field.trim()] = row[index];
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Validate raw records with the mission form rules
+   * @param {Array} records - Raw records
+   * @returns {Object} Valid missions and invalid rows
+   */
+  validateRecords(records) {
+    const valid = [];
+    const invalid = [];
+    // Ids already used by earlier rows of the file
+    const fileIds = new Set();
+
+    records.forEach((record, index) => {
+      const data = record && typeof record === 'object' ? { ...record } : {};
+      // Accept destination names ("Mars", "Marte") as well as slugs
+      data.destination = resolveDestination(data.destination) || data.destination;
+      // An export of planned missions whose date has passed must import back
+      const errors = validateMission(data, { timeRelative: false });
+
+      if (Object.keys(errors).length > 0) {
+        invalid.push({ row: index + 1, name: data.name, errors: Object.values(errors) });
+        return;
+      }
+
+      const mission = new Mission(data);
+      // Keep the id so re-importing an export overwrites instead of duplicating
+      if (data.id !== undefined && data.id !== null && data.id !== '') {
+        mission.id = toMissionId(data.id);
+      }
+      // A repeated id would make two missions with one key: the repeat becomes a new mission
+      if (fileIds.has(mission.id)) {
+        mission.id = generateMissionId();
+      }
+      fileIds.add(mission.id);
+      if (data.createdAt && !isNaN(Date.parse(data.createdAt))) {
+        mission.createdAt = data.createdAt;
+      }
+      valid.push(mission);
+    });
+
+    return { valid, invalid };
+  }
+
+  /**
+   * Render what the import will add, overwrite or skip
+   */
+  renderPreview() {
+    const { valid, invalid } = this.pendingImport;
+    const mode = this.modeSelect.value;
+    const existingIds = new Set(this.store.list().map(mission => mission.id));
+    const escape = text => escapeHtml(text === undefined ? '' : String(text));
+
+    const rows = valid.map(mission => {
+      const action = mode === 'merge' && existingIds.has(mission.id) ? t('transfer.overwrite') : t('transfer.add');
+      // Replacing drops the current missions, so only a merge can duplicate one
+      const duplicate = mode === 'merge' && findDuplicateMission(mission, this.store.list(), mission.id);
+      return `<li><span class="import-action">${action}</span> ${escape(mission.name)} (${escape(getDestinationName(mission.destination))}, ${mission.year})${duplicate ? ` <span class="import-warning">${t('transfer.duplicate')}</span>` : ''}</li>`;
+    });
+    const overwritten = valid.filter(mission => mode === 'merge' && existingIds.has(mission.id)).length;
+
+    const summary = mode === 'replace'
+      ? t('transfer.replaceSummary', { current: this.store.list().length, count: valid.length })
+      : t('transfer.mergeSummary', { added: valid.length - overwritten, overwritten });
+
+    this.preview.innerHTML = `
+      <p class="import-summary">${summary}</p>
+      <ul class="import-list">${rows.join('')}</ul>
+      ${invalid.length > 0 ? `
+        <p class="import-error">${t('transfer.skipped', { count: invalid.length })}</p>
+        <ul class="import-list import-invalid">
+          ${invalid.map(item => `<li>${t('transfer.row', { row: item.row })}${item.name ? ` (${escape(item.name)})` : ''}: ${item.errors.map(escape).join(', ')}</li>`).join('')}
+        </ul>
+      ` : ''}
+      <div class="mission-actions">
+        <button type="button" class="btn-edit btn-import-confirm" ${valid.length === 0 || !this.store.isWritable() ? 'disabled' : ''}>${t('transfer.confirm')}</button>
+        <button type="button" class="btn-delete btn-import-cancel">${t('transfer.cancel')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Apply the pending import
+   */
+  confirmImport() {
+    if (!this.pendingImport) return;
+    if (this.store.import(this.pendingImport.valid, this.modeSelect.value)) {
+      this.clearPreview();
+    }
+  }
+
+  /**
+   * Discard the pending import
+   */
+  clearPreview() {
+    this.pendingImport = null;
+    this.preview.innerHTML = '';
+    this.fileInput.value = '';
+  }
+}
@@ -0,0 +1,218 @@
+// ===== MISSION SCHEMA =====
+/**
+ * Rules for each mission field, checked in order until one fails.
+ * Every rule names the i18n key of its message; only `required` rejects
+ * empty values, the other rules let them through.
+ *
+ * - required: value is not empty
+ * - maxLength: at most `max` characters
+ * - range: number from `min` to `max`
+ * - oneOf: value listed in `values`
+ * - pattern: value matches `pattern`
+ * - date: valid YYYY-MM-DD date
+ */
+const MISSION_SCHEMA = {
+  name: [
+    { type: 'required', message: 'validation.nameRequired' },
+    { type: 'maxLength', max: 100, message: 'validation.maxLength' }
+  ],
+  destination: [
+    { type: 'required', message: 'validation.destinationRequired' },
+    { type: 'oneOf', values: DESTINATIONS.map(destination => destination.slug), message: 'validation.unknownDestination' }
+  ],
+  agency: [
+    { type: 'maxLength', max: 60, message: 'validation.maxLength' }
+  ],
+  type: [
+    { type: 'oneOf', values: MISSION_TYPES, message: 'validation.unknownType' }
+  ],
+  year: [
+    { type: 'required', message: 'validation.yearRequired' },
+    { type: 'range', min: MIN_YEAR, max: MAX_YEAR, message: 'validation.yearRange' }
+  ],
+  launchDate: [
+    { type: 'date', message: 'validation.invalidLaunchDate' }
+  ],
+  arrivalDate: [
+    { type: 'date', message: 'validation.invalidArrivalDate' }
+  ],
+  status: [
+    { type: 'required', message: 'validation.statusRequired' },
+    { type: 'oneOf', values: MISSION_STATUSES, message: 'validation.unknownStatus' }
+  ],
+  imageUrl: [
+    { type: 'pattern', pattern: /^https?:\/\/\S+$/i, message: 'validation.invalidImageUrl' },
+    { type: 'maxLength', max: 2048, message: 'validation.maxLength' }
+  ],
+  notes: [
+    { type: 'maxLength', max: 1000, message: 'validation.maxLength' }
+  ]
+};
+
+/**
+ * Rules across fields. Each one runs only when all its `fields` are filled
+ * and valid, and reports on `field`; check(data, today) returns the i18n key
+ * of the error or ''.
+ *
+ * timeRelative rules can start failing as days pass without the data
+ * changing, so they only check what the user is entering (see validateMission).
+ */
+const MISSION_CROSS_FIELD_RULES = [
+  {
+    field: 'launchDate',
+    fields: ['launchDate', 'year'],
+    check: data => (parseInt(data.launchDate) !== parseInt(data.year) ? 'validation.launchDateYear' : '')
+  },
+  {
+    field: 'arrivalDate',
+    fields: ['arrivalDate', 'launchDate'],
+    check: data => (data.arrivalDate < data.launchDate ? 'validation.arrivalBeforeLaunch' : '')
+  },
+  {
+    field: 'year',
+    fields: ['year', 'status'],
+    check: (data, today) => (data.status === 'completed' && parseInt(data.year) > today.year ? 'validation.completedInFuture' : '')
+  },
+  {
+    field: 'year',
+    fields: ['year', 'status'],
+    timeRelative: true,
+    check: (data, today) => (data.status === 'planned' && parseInt(data.year) < today.year ? 'validation.plannedInPast' : '')
+  },
+  {
+    field: 'launchDate',
+    fields: ['launchDate', 'status'],
+    timeRelative: true,
+    check: (data, today) => (data.status === 'planned' && data.launchDate < today.date ? 'validation.plannedInPast' : '')
+  }
+];
+
+// ===== VALIDATION =====
+/**
+ * Check whether a field value is empty
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Check whether two field values are the same once empty values and spaces are ignored
+ * @param {*} a - Field value
+ * @param {*} b - Field value
+ * @returns {boolean} True if equal
+ */
+function isSameFieldValue(a, b) {
+  const text = value => (isEmptyValue(value) ? '' : String(value).trim());
+  return text(a) === text(b);
+}
+
+/**
+ * Check a single schema rule
+ * @param {Object} rule - Schema rule
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value passes
+ */
+function checkRule(rule, value) {
+  if (rule.type === 'required') return !isEmptyValue(value);
+  if (isEmptyValue(value)) return true;
+
+  const text = String(value).trim();
+  switch (rule.type) {
+    case 'maxLength':
+      return text.length <= rule.max;
+    case 'range': {
+      const number = parseInt(text);
+      return !isNaN(number) && number >= rule.min && number <= rule.max;
+    }
+    case 'oneOf':
+      return rule.values.includes(value);
+    case 'pattern':
+      return rule.pattern.test(text);
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Get today's year and local YYYY-MM-DD date for the date rules
+ * @param {Date} date - Current date
+ * @returns {Object} {year, date}
+ */
+function getValidationToday(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    year: date.getFullYear(),
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+  };
+}
+
+/**
+ * Validate mission data against the schema and the cross-field rules.
+ * Used by the create form, the edit modal, imports and the store.
+ * @param {Object} data - Raw mission data
+ * @param {Object} options - Options:
+ * - now: current date for the status rules
+ * - previous: mission being edited; timeRelative rules then only run when one of their fields changed
+ * - timeRelative: false to skip those rules (stored or imported data)
+ * @returns {Object} Error messages keyed by field (empty when valid)
+ */
+function validateMission(data, { now = new Date(), previous = null, timeRelative = true } = {}) {
+  const errors = {};
+
+  Object.entries(MISSION_SCHEMA).forEach(([field, rules]) => {
+    const value = data[field];
+    const failed = rules.find(rule => !checkRule(rule, value));
+    if (failed) {
+      errors[field] = t(failed.message, { value, min: failed.min, max: failed.max });
+    }
+  });
+
+  const today = getValidationToday(now);
+  MISSION_CROSS_FIELD_RULES.forEach(rule => {
+    if (errors[rule.field]) return;
+    if (rule.fields.some(field => errors[field] || isEmptyValue(data[field]))) return;
+    if (rule.timeRelative) {
+      if (!timeRelative) return;
+      if (previous && rule.fields.every(field => isSameFieldValue(previous[field], data[field]))) return;
+    }
+
+    const message = rule.check(data, today);
+    if (message) errors[rule.field] = t(message, { year: today.year });
+  });
+
+  return errors;
+}
+
+/**
+ * Get the maximum length allowed for a field, if any
+ * @param {string} field - Mission field
+ * @returns {number|null} Maximum length
+ */
+function getMissionFieldMaxLength(field) {
+  const rule = (MISSION_SCHEMA[field] || []).find(item => item.type === 'maxLength');
+  return rule ? rule.max : null;
+}
+
+/**
+ * Find a mission with the same name, destination and year
+ * @param {Object} data - Mission data
+ * @param {Array} missions - Existing missions
+ * @param {string} ignoreId - Mission being edited, if any
+ * @returns {Object|null} Matching mission
+ */
+function findDuplicateMission(data, missions, ignoreId = null) {
+  if (isEmptyValue(data.name) || isEmptyValue(data.destination) || isEmptyValue(data.year)) return null;
+
+  const name = normalizeText(data.name);
+  const year = parseInt(data.year);
+  return missions.find(mission =>
+    mission.id !== ignoreId &&
+    mission.destination === data.destination &&
+    mission.year === year &&
+    normalizeText(mission.name) === name
+  ) || null;
+}
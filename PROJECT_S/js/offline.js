@@ -0,0 +1,79 @@
+// ===== CONSTANTS =====
+const SERVICE_WORKER_URL = 'sw.js';
+const OFFLINE_INDICATOR_ID = 'offline-indicator';
+// How long (ms) the "back online" message stays visible
+const ONLINE_MESSAGE_DURATION = 3000;
+
+// ===== SERVICE WORKER =====
+/**
+ * Register the service worker (it needs http(s), not file://)
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+    console.error('Error registering service worker:', error);
+  });
+}
+
+// ===== OFFLINE INDICATOR =====
+/**
+ * Banner that tells the user when the page is offline
+ */
+class OfflineIndicator {
+  constructor() {
+    this.element = document.createElement('div');
+    this.element.id = OFFLINE_INDICATOR_ID;
+    this.element.className = 'offline-indicator';
+    this.element.setAttribute('role', 'status');
+    this.element.hidden = true;
+    document.body.appendChild(this.element);
+
+    this.hideTimer = null;
+    this.init();
+  }
+
+  init() {
+    window.addEventListener('offline', () => this.update());
+    window.addEventListener('online', () => this.update(true));
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      if (!this.element.hidden) this.update();
+    });
+
+    this.update();
+  }
+
+  /**
+   * Show or hide the banner for the current connection state
+   * @param {boolean} reconnected - Briefly confirm the connection is back
+   */
+  update(reconnected = false) {
+    clearTimeout(this.hideTimer);
+    const offline = !navigator.onLine;
+
+    this.element.classList.toggle('is-offline', offline);
+    if (offline) {
+      this.element.textContent = t('offline.offline');
+      this.element.hidden = false;
+    } else if (reconnected) {
+      this.element.textContent = t('offline.online');
+      this.element.hidden = false;
+      this.hideTimer = setTimeout(() => {
+        this.element.hidden = true;
+      }, ONLINE_MESSAGE_DURATION);
+    } else {
+      this.element.hidden = true;
+    }
+  }
+}
+
+// ===== INITIALIZATION =====
+/**
+ * Set up offline support on every page
+ */
+function initializeOffline() {
+  registerServiceWorker();
+  new OfflineIndicator();
+}
+
+document.addEventListener('DOMContentLoaded', initializeOffline);
@@ -0,0 +1,418 @@
+// ===== CONSTANTS =====
+const ORRERY_ID = 'orrery';
+// Half size of the SVG viewBox; the zoom extent is mapped to this radius
+const ORRERY_RADIUS = 380;
+const ORRERY_ORBIT_STEPS = 96;
+const MS_PER_DAY = 86400000;
+const DAYS_PER_CENTURY = 36525;
+const J2000_JULIAN_DAY = 2451545.0;
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+// Range where the approximate orbital elements are valid
+const ORRERY_MIN_DATE = Date.UTC(1800, 0, 1);
+const ORRERY_MAX_DATE = Date.UTC(2050, 11, 31);
+// Planets shown by each zoom (by semi-major axis) and the distance shown at the edge, in AU
+const ORRERY_ZOOMS = {
+  inner: { minAu: 0, maxAu: 2, extentAu: 1.7 },
+  outer: { minAu: 2, maxAu: Infinity, extentAu: 31 }
+};
+const ORRERY_SELECTED_CLASS = 'orrery-planet-selected';
+
+// ===== ORBITAL MECHANICS =====
+/**
+ * Get the orbital elements of a planet at a date
+ * @param {Object} orbit - Elements as [value, rate per century] (see PLANETS)
+ * @param {number} time - Timestamp in ms
+ * @returns {Object} Semi-major axis (AU), eccentricity and angles in radians
+ */
+function getOrbitalElements(orbit, time) {
+  const centuries = (time / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY - J2000_JULIAN_DAY) / DAYS_PER_CENTURY;
+  const at = ([value, rate]) => value + rate * centuries;
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+
+  const peri = at(orbit.peri);
+  const node = at(orbit.node);
+  // Mean anomaly normalized to -180..180 degrees
+  const meanAnomaly = ((((at(orbit.L) - peri) % 360) + 540) % 360) - 180;
+
+  return {
+    a: at(orbit.a),
+    e: at(orbit.e),
+    i: toRadians(at(orbit.i)),
+    node: toRadians(node),
+    argPeri: toRadians(peri - node),
+    M: toRadians(meanAnomaly)
+  };
+}
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) with Newton's method
+ * @param {number} M - Mean anomaly in radians
+ * @param {number} e - Eccentricity
+ * @returns {number} Eccentric anomaly in radians
+ */
+function solveKepler(M, e) {
+  let E = M + e * Math.sin(M);
+  for (let step = 0; step < 10; step++) {
+    const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-8) break;
+  }
+  return E;
+}
+
+/**
+ * Get the heliocentric ecliptic position for an eccentric anomaly
+ * @param {Object} elements - Orbital elements from getOrbitalElements()
+ * @param {number} E - Eccentric anomaly in radians
+ * @returns {Object} {x, y} in AU
+ */
+function getEclipticPoint(elements, E) {
+  const { a, e, i, node, argPeri } = elements;
+  const xOrbit = a * (Math.cos(E) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const cosW = Math.cos(argPeri);
+  const sinW = Math.sin(argPeri);
+  const cosN = Math.cos(node);
+  const sinN = Math.sin(node);
+  const cosI = Math.cos(i);
+
+  return {
+    x: (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit,
+    y: (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit
+  };
+}
+
+/**
+ * Get the heliocentric ecliptic position of a planet at a date
+ * @param {Object} orbit - Planet orbital elements
+ * @param {number} time - Timestamp in ms
+ * @returns {Object} {x, y} in AU
+ */
+function getOrbitalPosition(orbit, time) {
+  const elements = getOrbitalElements(orbit, time);
+  return getEclipticPoint(elements, solveKepler(elements.M, elements.e));
+}
+
+// ===== ORRERY CLASS =====
+/**
+ * Class to show the planets on their orbits with time and zoom controls
+ */
+class Orrery {
+  constructor() {
+    this.container = document.getElementById(ORRERY_ID);
+    if (!this.container) return;
+
+    this.view = this.container.querySelector('.orrery-view');
+    this.dateLabel = this.container.querySelector('.orrery-date');
+    this.playButton = this.container.querySelector('[data-orrery="play"]');
+    this.speedSelect = this.container.querySelector('[data-orrery="speed"]');
+    this.dateInput = this.container.querySelector('[data-orrery="date"]');
+    this.zoomButtons = this.container.querySelectorAll('[data-orrery-zoom]');
+
+    this.time = this.clampTime(Date.now());
+    this.zoom = 'inner';
+    // playing is the play/pause choice; the loop also waits while off screen or in a hidden tab
+    this.playing = false;
+    this.visible = true;
+    this.paused = document.hidden;
+    this.frame = null;
+    this.lastFrame = null;
+    this.selectedSlug = null;
+
+    this.initializeControls();
+    this.initializeVisibility();
+    this.render();
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      this.render();
+      this.updatePlayButton();
+    });
+
+    if (!prefersReducedMotion()) {
+      this.play();
+    }
+  }
+
+  /**
+   * Initialize time, zoom and planet selection controls
+   */
+  initializeControls() {
+    this.playButton.addEventListener('click', () => {
+      if (this.playing) {
+        this.pause();
+      } else {
+        this.play();
+      }
+    });
+
+    this.dateInput.addEventListener('change', () => {
+      const time = Date.parse(this.dateInput.value);
+      if (!isNaN(time)) this.setTime(time);
+    });
+
+    this.container.querySelector('[data-orrery="today"]').addEventListener('click', () => {
+      this.setTime(Date.now());
+    });
+
+    this.zoomButtons.forEach(button => {
+      button.addEventListener('click', () => this.setZoom(button.dataset.orreryZoom));
+    });
+
+    this.view.addEventListener('click', (e) => {
+      const planet = e.target.closest('[data-planet]');
+      if (planet) this.selectPlanet(planet.dataset.planet);
+    });
+
+    this.view.addEventListener('keydown', (e) => {
+      const planet = e.target.closest('[data-planet]');
+      if (planet && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        this.selectPlanet(planet.dataset.planet);
+      }
+    });
+  }
+
+  /**
+   * Get the planets shown with the current zoom
+   * @returns {Array} Planets
+   */
+  getVisiblePlanets() {
+    const { minAu, maxAu } = ORRERY_ZOOMS[this.zoom];
+    return PLANETS.filter(planet => planet.orbit.a[0] >= minAu && planet.orbit.a[0] < maxAu);
+  }
+
+  /**
+   * Get the SVG units per AU for the current zoom
+   * @returns {number} Scale
+   */
+  getScale() {
+    return ORRERY_RADIUS / ORRERY_ZOOMS[this.zoom].extentAu;
+  }
+
+  /**
+   * Build the orbit path of a planet
+   * @param {Object} planet - Planet data
+   * @returns {string} SVG path data
+   */
+  getOrbitPath(planet) {
+    const elements = getOrbitalElements(planet.orbit, this.time);
+    const scale = this.getScale();
+    const points = [];
+
+    for (let step = 0; step < ORRERY_ORBIT_STEPS; step++) {
+      const point = getEclipticPoint(elements, (step / ORRERY_ORBIT_STEPS) * 2 * Math.PI);
+      points.push(`${(point.x * scale).toFixed(1)} ${(-point.y * scale).toFixed(1)}`);
+    }
+    return `M ${points.join(' L ')} Z`;
+  }
+
+  /**
+   * Render the Sun, orbits and planets for the current zoom
+   */
+  render() {
+    const size = ORRERY_RADIUS + 20;
+    const svg = createSvgElement('svg', {
+      viewBox: `${-size} ${-size} ${size * 2} ${size * 2}`,
+      class: 'orrery-svg',
+      role: 'group',
+      'aria-label': t('orrery.label')
+    });
+
+    const sun = createSvgElement('circle', { r: 10, class: 'orrery-sun' });
+    const sunTitle = createSvgElement('title');
+    sunTitle.textContent = getDestinationName('sol');
+    sun.appendChild(sunTitle);
+    svg.appendChild(sun);
+
+    this.planetElements = this.getVisiblePlanets().map(planet => {
+      svg.appendChild(createSvgElement('path', {
+        d: this.getOrbitPath(planet),
+        class: 'orrery-orbit'
+      }));
+
+      // Dot sizes hint at the planet size but are not to scale
+      const radius = Math.min(14, Math.max(4, Math.sqrt(planet.diameter) / 20));
+      const name = getDestinationName(planet.slug);
+      const group = createSvgElement('g', {
+        class: `orrery-planet ${planet.slug === this.selectedSlug ? ORRERY_SELECTED_CLASS : ''}`,
+        'data-planet': planet.slug,
+        role: 'button',
+        tabindex: 0,
+        'aria-label': name
+      });
+      group.appendChild(createSvgElement('circle', { r: radius, fill: planet.color }));
+      const label = createSvgElement('text', { x: radius + 6, y: 4, class: 'orrery-label' });
+      label.textContent = name;
+      group.appendChild(label);
+      svg.appendChild(group);
+
+      return { planet, group };
+    });
+
+    this.view.innerHTML = '';
+    this.view.appendChild(svg);
+    this.updatePositions();
+  }
+
+  /**
+   * Move every planet to its position at the current time
+   */
+  updatePositions() {
+    const scale = this.getScale();
+
+    this.planetElements.forEach(({ planet, group }) => {
+      const { x, y } = getOrbitalPosition(planet.orbit, this.time);
+      // SVG y grows downwards, ecliptic y grows upwards
+      group.setAttribute('transform', `translate(${(x * scale).toFixed(1)} ${(-y * scale).toFixed(1)})`);
+    });
+
+    const isoDate = new Date(this.time).toISOString().slice(0, 10);
+    this.dateLabel.textContent = formatDate(isoDate);
+    if (document.activeElement !== this.dateInput) {
+      this.dateInput.value = isoDate;
+    }
+  }
+
+  /**
+   * Keep a time inside the range where the elements are valid
+   * @param {number} time - Timestamp in ms
+   * @returns {number} Valid timestamp
+   */
+  clampTime(time) {
+    return Math.max(ORRERY_MIN_DATE, Math.min(time, ORRERY_MAX_DATE));
+  }
+
+  /**
+   * Jump to a date
+   * @param {number} time - Timestamp in ms
+   */
+  setTime(time) {
+    this.time = this.clampTime(time);
+    this.updatePositions();
+  }
+
+  /**
+   * Switch between the inner and outer planets
+   * @param {string} zoom - 'inner' or 'outer'
+   */
+  setZoom(zoom) {
+    if (!ORRERY_ZOOMS[zoom]) return;
+    this.zoom = zoom;
+
+    this.zoomButtons.forEach(button => {
+      const active = button.dataset.orreryZoom === zoom;
+      button.classList.toggle(ACTIVE_CLASS, active);
+      button.setAttribute('aria-pressed', active);
+    });
+
+    this.render();
+  }
+
+  /**
+   * Stop drawing while the orrery is off screen or the tab is hidden
+   */
+  initializeVisibility() {
+    if ('IntersectionObserver' in window) {
+      const observer = new IntersectionObserver((entries) => {
+        this.visible = entries[entries.length - 1].isIntersecting;
+        if (this.visible) {
+          this.start();
+        } else {
+          this.stop();
+        }
+      });
+      observer.observe(this.container);
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      this.paused = document.hidden;
+      if (this.paused) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    });
+  }
+
+  /**
+   * Start the animation
+   */
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this.start();
+    this.updatePlayButton();
+  }
+
+  /**
+   * Stop the animation
+   */
+  pause() {
+    this.playing = false;
+    this.stop();
+    this.updatePlayButton();
+  }
+
+  /**
+   * Run the frame loop if playing, on screen and in a visible tab
+   */
+  start() {
+    if (!this.playing || !this.visible || this.paused || this.frame !== null) return;
+    this.lastFrame = null;
+    this.frame = requestAnimationFrame(timestamp => this.tick(timestamp));
+  }
+
+  /**
+   * Cancel the next frame (keeps the play/pause choice)
+   */
+  stop() {
+    if (this.frame === null) return;
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+
+  /**
+   * Update the play/pause button text and state
+   */
+  updatePlayButton() {
+    this.playButton.textContent = this.playing ? t('orrery.pause') : t('orrery.play');
+    this.playButton.setAttribute('aria-pressed', this.playing);
+  }
+
+  /**
+   * Advance time by the selected speed (days per second)
+   * @param {number} timestamp - Frame timestamp
+   */
+  tick(timestamp) {
+    // Cap the step so returning to a background tab does not jump years
+    const seconds = this.lastFrame === null ? 0 : Math.min((timestamp - this.lastFrame) / 1000, 0.1);
+    this.lastFrame = timestamp;
+    this.setTime(this.time + seconds * parseFloat(this.speedSelect.value) * MS_PER_DAY);
+
+    if (this.time >= ORRERY_MAX_DATE) {
+      this.pause();
+      return;
+    }
+    this.frame = requestAnimationFrame(next => this.tick(next));
+  }
+
+  /**
+   * Highlight a planet and add its card to the planet grid selection
+   * @param {string} slug - Planet slug
+   */
+  selectPlanet(slug) {
+    this.selectedSlug = slug;
+    this.planetElements.forEach(({ planet, group }) => {
+      group.classList.toggle(ORRERY_SELECTED_CLASS, planet.slug === slug);
+    });
+
+    const card = document.querySelector(`.${PLANET_CARD_CLASS}[data-planet="${slug}"]`);
+    if (!card) return;
+
+    // Clicking the card keeps the grid selection (and the comparison) in sync
+    if (!card.classList.contains(ACTIVE_CLASS)) {
+      card.click();
+    }
+    card.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'nearest' });
+  }
+}
@@ -0,0 +1,144 @@
+// ===== PARALLAX SCENES =====
+/**
+ * Chapters of the parallax page, rendered in this order by SceneRenderer.
+ *
+ * - id: section id
+ * - title, text: i18n keys of the heading and paragraph
+ * - intro: render the heading as the page title
+ * - final: add the "back to the solar system" link
+ * - layers.back, layers.mid: elements drawn behind the text
+ *
+ * Element types:
+ * - stars: starfield (dense: more stars)
+ * - nebula: glowing gas cloud
+ * - rocks: three floating rocks
+ * - planet: image with src, alt (i18n key), className and size in px
+ * - belt: band of count bodies (variant 'asteroids' or 'kuiper')
+ * - cloud: spherical shell of count comets
+ *
+ * Any element can declare motion: { depth, rotation, mouse, range }
+ * (see PARALLAX_MOTION_DEFAULTS in parallax.js).
+ */
+const PARALLAX_SCENES = [
+  {
+    id: 'intro',
+    title: 'parallax.introTitle',
+    text: 'parallax.introText',
+    intro: true,
+    layers: {
+      back: [{ type: 'stars' }]
+    }
+  },
+  {
+    id: 'rocky',
+    title: 'parallax.rockyTitle',
+    text: 'parallax.rockyText',
+    layers: {
+      back: [{
+        type: 'planet',
+        src: 'https://upload.wikimedia.org/wikipedia/commons/0/02/OSIRIS_Mars_true_color.jpg',
+        alt: 'parallax.mars',
+        className: 'parallax-mars',
+        size: 300,
+        motion: { rotation: 0.05, mouse: 10 }
+      }],
+      mid: [{
+        type: 'planet',
+        src: 'https://upload.wikimedia.org/wikipedia/commons/9/97/The_Earth_seen_from_Apollo_17.jpg',
+        alt: 'parallax.earth',
+        className: 'parallax-earth',
+        size: 300,
+        motion: { rotation: 0.07, mouse: 15 }
+      }]
+    }
+  },
+  {
+    id: 'asteroids',
+    title: 'parallax.asteroidsTitle',
+    text: 'parallax.asteroidsText',
+    layers: {
+      back: [{ type: 'stars' }],
+      mid: [{
+        type: 'belt',
+        variant: 'asteroids',
+        count: 40,
+        motion: { depth: 80, rotation: 0.01, mouse: 25 }
+      }]
+    }
+  },
+  {
+    id: 'giants',
+    title: 'parallax.giantsTitle',
+    text: 'parallax.giantsText',
+    layers: {
+      back: [{
+        type: 'planet',
+        src: 'https://upload.wikimedia.org/wikipedia/commons/2/29/Saturn_Storm.jpg',
+        alt: 'parallax.saturn',
+        className: 'parallax-saturn',
+        size: 350,
+        motion: { rotation: 0.09, mouse: 20 }
+      }],
+      mid: [{
+        type: 'planet',
+        src: 'https://upload.wikimedia.org/wikipedia/commons/e/e2/Jupiter.jpg',
+        alt: 'parallax.jupiter',
+        className: 'parallax-jupiter',
+        size: 400,
+        motion: { rotation: 0.11, mouse: 25 }
+      }]
+    }
+  },
+  {
+    id: 'kuiper',
+    title: 'parallax.kuiperTitle',
+    text: 'parallax.kuiperText',
+    layers: {
+      back: [{
+        type: 'planet',
+        src: 'https://upload.wikimedia.org/wikipedia/commons/5/56/Neptune_Full.jpg',
+        alt: 'parallax.neptune',
+        className: 'parallax-neptune',
+        size: 250,
+        motion: { depth: 20, rotation: 0.03, mouse: 8 }
+      }],
+      mid: [{
+        type: 'belt',
+        variant: 'kuiper',
+        count: 30,
+        motion: { depth: 50, rotation: -0.01, mouse: 15 }
+      }]
+    }
+  },
+  {
+    id: 'oort',
+    title: 'parallax.oortTitle',
+    text: 'parallax.oortText',
+    layers: {
+      back: [{ type: 'stars', dense: true }],
+      mid: [{
+        type: 'cloud',
+        count: 60,
+        motion: { depth: 40, rotation: 0.02, mouse: 30, range: 0.6 }
+      }]
+    }
+  },
+  {
+    id: 'nebula',
+    title: 'parallax.nebulaTitle',
+    text: 'parallax.nebulaText',
+    layers: {
+      back: [{ type: 'nebula' }],
+      mid: [{ type: 'rocks', motion: { depth: 60, mouse: 20 } }]
+    }
+  },
+  {
+    id: 'final',
+    title: 'parallax.finalTitle',
+    text: 'parallax.finalText',
+    final: true,
+    layers: {
+      back: [{ type: 'stars', dense: true }]
+    }
+  }
+];
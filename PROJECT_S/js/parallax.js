@@ -15,33 +15,207 @@ try {
   window.removeEventListener('test', null, opts);
 } catch (e) {}
 
+// Motion of a [data-parallax] element when a data attribute is missing:
+// - depth: vertical travel (px) while crossing one viewport height
+// - rotation: degrees per scrolled px
+// - mouse: travel (px) following the pointer
+// - range: viewport heights from the centre where the element keeps moving
+const PARALLAX_MOTION_DEFAULTS = {
+  depth: 30,
+  rotation: 0,
+  mouse: 0,
+  range: 1
+};
+// Extra margin (px) around the viewport where sections keep animating
+const PARALLAX_VISIBILITY_MARGIN = 200;
+// Mouse easing below this distance counts as settled
+const PARALLAX_MOUSE_EPSILON = 0.001;
+// Fired on document when another section reaches the middle of the viewport
+const SECTION_CHANGE_EVENT = 'parallax:sectionchange';
+
+// Starfield depth layers, far to near: stars per 10 000 px², size range (px),
+// scroll rate, mouse travel (px) and opacity
+const STARFIELD_LAYERS = [
+  { density: 1.2, size: [0.5, 1.1], scroll: 0.05, mouse: 4, alpha: 0.55 },
+  { density: 0.6, size: [0.9, 1.7], scroll: 0.15, mouse: 10, alpha: 0.8 },
+  { density: 0.2, size: [1.4, 2.4], scroll: 0.3, mouse: 20, alpha: 1 }
+];
+const STARFIELD_DENSE_FACTOR = 2;
+const STARFIELD_LOW_POWER_FACTOR = 0.5;
+// Average seconds between shooting stars in one starfield
+const SHOOTING_STAR_INTERVAL = 6;
+// Frame rate of the twinkling once the scroll, the mouse and the meteors are still
+const STARFIELD_IDLE_FPS = 12;
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ * @param {number} seed - Positive integer seed
+ * @returns {Function} Generator
+ */
+function seededRandom(seed) {
+  let value = seed % 2147483647 || 1;
+  return () => {
+    value = (value * 16807) % 2147483647;
+    return (value - 1) / 2147483646;
+  };
+}
+
+/**
+ * Build the src and srcset attributes of a planet image, using the bundled
+ * copies of js/image-assets.js when there are any
+ * @param {string} src - Original image URL
+ * @param {number} size - Displayed width in px
+ * @returns {string} Attributes HTML
+ */
+function renderPlanetSources(src, size) {
+  const local = LOCAL_IMAGES[src];
+  if (!local) return `src="${src}"`;
+
+  const best = local.widths.find(width => width >= size) || local.widths[local.widths.length - 1];
+  const srcset = local.widths
+    .map(width => `${local.path}-${width}.${local.ext} ${width}w`)
+    .join(', ');
+  return `src="${local.path}-${best}.${local.ext}" srcset="${srcset}" sizes="${size}px"`;
+}
+
+class SceneRenderer {
+  constructor(container, scenes) {
+    this.container = container;
+    this.scenes = scenes;
+    this.render();
+  }
+
+  render() {
+    this.container.innerHTML = this.scenes.map(scene => this.renderScene(scene)).join('');
+  }
+
+  renderScene(scene) {
+    const layers = ['back', 'mid']
+      .filter(depth => scene.layers && scene.layers[depth])
+      .map(depth => `
+        <div class="parallax-layer parallax-layer-${depth}">
+          ${scene.layers[depth].map(element => this.renderElement(element)).join('')}
+        </div>
+      `)
+      .join('');
+
+    const heading = scene.intro
+      ? `<h1 class="parallax-title" data-i18n="${scene.title}">${t(scene.title)}</h1>
+         <p class="parallax-text" data-i18n="${scene.text}">${t(scene.text)}</p>`
+      : `<h2 class="parallax-subtitle" data-i18n="${scene.title}">${t(scene.title)}</h2>
+         <p class="parallax-description" data-i18n="${scene.text}">${t(scene.text)}</p>`;
+
+    return `
+      <section class="parallax-section" id="${scene.id}">
+        ${layers}
+        <div class="parallax-layer parallax-layer-base">
+          <div class="content-wrapper${scene.final ? ' final-section' : ''}">
+            ${heading}
+            ${scene.final ? `<a href="index.html" class="btn-return" data-i18n="parallax.return">${t('parallax.return')}</a>` : ''}
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  renderElement(element) {
+    const motion = this.renderMotion(element.motion);
+
+    switch (element.type) {
+      case 'stars':
+        return `<div class="stars${element.dense ? ' stars-dense' : ''}"${motion}></div>`;
+      case 'nebula':
+        return `<div class="nebula-effect"${motion}></div>`;
+      case 'rocks':
+        return `
+          <div class="floating-rocks"${motion}>
+            <div class="rock rock-1"></div>
+            <div class="rock rock-2"></div>
+            <div class="rock rock-3"></div>
+          </div>
+        `;
+      case 'planet':
+        return `<img ${renderPlanetSources(element.src, element.size)} alt="${t(element.alt)}" data-i18n-attr="alt:${element.alt}" class="parallax-planet ${element.className}" width="${element.size}" height="${element.size}"${motion}>`;
+      case 'belt':
+      case 'cloud':
+        return `<div class="body-field body-field-${element.variant || element.type}" aria-hidden="true"${motion}>${this.renderBodies(element)}</div>`;
+      default:
+        console.warn(`⚠ Tipo de elemento parallax desconocido: ${element.type}`);
+        return '';
+    }
+  }
+
+  renderMotion(motion) {
+    if (!motion) return '';
+
+    return ' data-parallax' + Object.keys(PARALLAX_MOTION_DEFAULTS)
+      .filter(name => motion[name] !== undefined)
+      .map(name => ` data-${name}="${motion[name]}"`)
+      .join('');
+  }
+
+  renderBodies(element) {
+    // Seeded so the layout is the same on every visit
+    const random = seededRandom(element.count);
+    const bodies = [];
+
+    for (let i = 0; i < element.count; i++) {
+      const angle = random() * Math.PI * 2;
+      let x;
+      let y;
+      let size;
+
+      if (element.type === 'belt') {
+        // Flattened ring seen at an angle
+        const spread = 0.85 + random() * 0.3;
+        x = 50 + Math.cos(angle) * 45 * spread;
+        y = 50 + Math.sin(angle) * 15 * spread;
+        size = 3 + random() * (element.variant === 'kuiper' ? 6 : 10);
+      } else {
+        // Shell of comets, denser towards its edge
+        const radius = 30 + Math.sqrt(random()) * 18;
+        x = 50 + Math.cos(angle) * radius;
+        y = 50 + Math.sin(angle) * radius * 0.9;
+        size = 1 + random() * 3;
+      }
+
+      bodies.push(`<span class="field-body" style="left: ${x.toFixed(2)}%; top: ${y.toFixed(2)}%; width: ${size.toFixed(1)}px; height: ${size.toFixed(1)}px; animation-delay: ${(random() * 5).toFixed(2)}s"></span>`);
+    }
+
+    return bodies.join('');
+  }
+}
+
 class ParallaxController {
   constructor() {
     this.ticking = false;
+    this.paused = document.hidden;
     this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
+    this.lastScrollY = null;
     this.windowHeight = window.innerHeight;
     this.documentHeight = document.documentElement.scrollHeight;
     
-    this.planets = Array.from(document.querySelectorAll('.parallax-planet'));
     this.sections = Array.from(document.querySelectorAll('.parallax-section'));
+    this.items = Array.from(document.querySelectorAll('[data-parallax]')).map(element => this.readMotion(element));
+    this.visibleSections = new Set();
+    this.progressBar = document.getElementById('scroll-progress');
     
     this.mouseX = 0;
     this.mouseY = 0;
     this.targetMouseX = 0;
     this.targetMouseY = 0;
+    this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
     
     this.init();
   }
 
   init() {
     this.setupSmoothScroll();
+    this.measure();
+    this.observeSections();
     this.bindEvents();
     this.update();
     
-    if (supports.requestAnimationFrame) {
-      this.animate();
-    }
-    
     console.log('✓ Parallax Controller inicializado');
   }
 
@@ -51,113 +225,456 @@ class ParallaxController {
     }
   }
 
+  observeSections() {
+    // Start moving a little before a section scrolls into view
+    observeSections(this.sections, { rootMargin: `${PARALLAX_VISIBILITY_MARGIN}px 0px` }, (section, visible) => {
+      if (visible) {
+        this.visibleSections.add(section);
+        this.requestTick();
+      } else {
+        this.visibleSections.delete(section);
+      }
+    });
+  }
+
   bindEvents() {
     const eventOptions = supports.passiveEvents ? { passive: true } : false;
     
     window.addEventListener('scroll', () => {
       this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
-      
-      if (!this.ticking && !supports.requestAnimationFrame) {
-        this.update();
-      }
-      
-      this.ticking = false;
+      this.requestTick();
     }, eventOptions);
 
-    let mouseMoveTimeout;
     window.addEventListener('mousemove', (e) => {
-      clearTimeout(mouseMoveTimeout);
-      mouseMoveTimeout = setTimeout(() => {
-        this.targetMouseX = (e.clientX / window.innerWidth - 0.5) * 2;
-        this.targetMouseY = (e.clientY / window.innerHeight - 0.5) * 2;
-      }, 10);
+      this.targetMouseX = (e.clientX / window.innerWidth - 0.5) * 2;
+      this.targetMouseY = (e.clientY / window.innerHeight - 0.5) * 2;
+      this.requestTick();
     }, eventOptions);
 
     let resizeTimeout;
     window.addEventListener('resize', () => {
       clearTimeout(resizeTimeout);
       resizeTimeout = setTimeout(() => {
-        this.windowHeight = window.innerHeight;
-        this.documentHeight = document.documentElement.scrollHeight;
+        this.measure();
         this.update();
       }, 150);
     }, eventOptions);
+
+    // Late fonts can move the sections after the first measure
+    window.addEventListener('load', () => {
+      this.measure();
+      this.update();
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      this.paused = document.hidden;
+      this.requestTick();
+    });
+
+    if (this.motionQuery && this.motionQuery.addEventListener) {
+      this.motionQuery.addEventListener('change', () => {
+        this.update();
+        this.requestTick();
+      });
+    }
+  }
+
+  readMotion(element) {
+    const motion = { element, section: element.closest('.parallax-section'), centerY: 0, transform: '' };
+    Object.keys(PARALLAX_MOTION_DEFAULTS).forEach(name => {
+      const value = parseFloat(element.dataset[name]);
+      motion[name] = Number.isFinite(value) ? value : PARALLAX_MOTION_DEFAULTS[name];
+    });
+    return motion;
+  }
+
+  measure() {
+    this.windowHeight = window.innerHeight;
+    this.documentHeight = document.documentElement.scrollHeight;
+    this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
+
+    // Clear every transform first so all reads happen in one layout pass
+    this.items.forEach(item => {
+      item.element.style.transform = '';
+      item.transform = '';
+    });
+    this.items.forEach(item => {
+      const rect = item.element.getBoundingClientRect();
+      item.centerY = rect.top + this.scrollY + rect.height / 2;
+    });
+  }
+
+  prefersReducedMotion() {
+    return Boolean(this.motionQuery && this.motionQuery.matches);
   }
 
-  animate() {
+  requestTick() {
+    if (this.ticking || this.paused) return;
+
+    if (!supports.requestAnimationFrame || this.prefersReducedMotion()) {
+      this.update();
+      return;
+    }
+
+    this.ticking = true;
+    requestAnimationFrame(() => this.tick());
+  }
+
+  tick() {
+    this.ticking = false;
     this.update();
-    requestAnimationFrame(() => this.animate());
+
+    // Sleep once the scroll stopped and the mouse easing settled
+    if (!this.isSettled()) {
+      this.requestTick();
+    }
+  }
+
+  isSettled() {
+    const scrolled = this.scrollY !== this.lastScrollY;
+    this.lastScrollY = this.scrollY;
+
+    return !scrolled &&
+      Math.abs(this.targetMouseX - this.mouseX) < PARALLAX_MOUSE_EPSILON &&
+      Math.abs(this.targetMouseY - this.mouseY) < PARALLAX_MOUSE_EPSILON;
   }
 
   update() {
     this.mouseX += (this.targetMouseX - this.mouseX) * 0.1;
     this.mouseY += (this.targetMouseY - this.mouseY) * 0.1;
     
-    this.updatePlanets();
+    this.updateItems();
     this.updateProgress();
   }
 
-  updatePlanets() {
-    this.planets.forEach((planet, index) => {
-      const rect = planet.getBoundingClientRect();
-      const planetCenterY = rect.top + rect.height / 2;
-      const distanceFromCenter = (planetCenterY - this.windowHeight / 2) / this.windowHeight;
-      
-      const scrollRotation = this.scrollY * (0.05 + index * 0.02);
-      const mouseOffsetX = this.mouseX * (10 + index * 5);
-      const mouseOffsetY = this.mouseY * (10 + index * 5);
-      const parallaxY = distanceFromCenter * 30;
-      
-      const transform = `translate(${mouseOffsetX}px, ${mouseOffsetY + parallaxY}px) rotate(${scrollRotation}deg)`;
-      planet.style.transform = transform;
+  updateItems() {
+    const reducedMotion = this.prefersReducedMotion();
+
+    this.items.forEach(item => {
+      let transform = '';
+
+      if (!reducedMotion) {
+        // Off-screen items keep their last transform until they come back
+        if (item.section && !this.visibleSections.has(item.section)) return;
+
+        const distanceFromCenter = Math.max(-item.range, Math.min(item.range,
+          (item.centerY - this.scrollY - this.windowHeight / 2) / this.windowHeight));
+        
+        const scrollRotation = this.scrollY * item.rotation;
+        const mouseOffsetX = this.mouseX * item.mouse;
+        const mouseOffsetY = this.mouseY * item.mouse;
+        const parallaxY = distanceFromCenter * item.depth;
+        
+        transform = `translate(${mouseOffsetX.toFixed(2)}px, ${(mouseOffsetY + parallaxY).toFixed(2)}px) rotate(${scrollRotation.toFixed(2)}deg)`;
+      }
+
+      if (transform !== item.transform) {
+        item.element.style.transform = transform;
+        item.transform = transform;
+      }
     });
   }
 
   updateProgress() {
-    const progressBar = document.getElementById('scroll-progress');
-    if (!progressBar) return;
+    if (!this.progressBar) return;
     
     const maxScroll = this.documentHeight - this.windowHeight;
-    const scrollPercentage = (this.scrollY / maxScroll) * 100;
-    progressBar.style.width = `${Math.min(scrollPercentage, 100)}%`;
+    const scrollPercentage = maxScroll > 0 ? (this.scrollY / maxScroll) * 100 : 0;
+    this.progressBar.style.width = `${Math.min(scrollPercentage, 100)}%`;
+  }
+}
+
+class Starfield {
+  constructor(container, options) {
+    this.container = container;
+    this.section = container.closest('.parallax-section');
+    this.density = options.density *
+      (container.classList.contains('stars-dense') ? STARFIELD_DENSE_FACTOR : 1) *
+      (parseFloat(container.dataset.density) || 1);
+    this.shootingStars = options.shootingStars;
+    this.meteors = [];
+    this.layers = [];
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'starfield-canvas';
+    this.canvas.setAttribute('aria-hidden', 'true');
+    this.context = this.canvas.getContext('2d');
+    container.appendChild(this.canvas);
+    container.classList.add('has-starfield');
+
+    this.resize();
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.width = this.container.clientWidth;
+    this.height = this.container.clientHeight;
+
+    // Backing store in device pixels, drawing in CSS pixels
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+    this.canvas.style.width = `${this.width}px`;
+    this.canvas.style.height = `${this.height}px`;
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    this.layers = STARFIELD_LAYERS.map(layer => this.createLayer(layer));
+  }
+
+  createLayer(layer) {
+    const count = Math.round((this.width * this.height) / 10000 * layer.density * this.density);
+    const stars = [];
+
+    for (let i = 0; i < count; i++) {
+      stars.push({
+        x: Math.random() * this.width,
+        y: Math.random() * this.height,
+        size: layer.size[0] + Math.random() * (layer.size[1] - layer.size[0]),
+        phase: Math.random() * Math.PI * 2,
+        speed: 0.5 + Math.random() * 2
+      });
+    }
+
+    return { ...layer, stars };
+  }
+
+  draw(state) {
+    const ctx = this.context;
+    const wrap = (value, size) => ((value % size) + size) % size;
+
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.fillStyle = '#fff';
+
+    this.layers.forEach(layer => {
+      const offsetX = state.mouseX * layer.mouse;
+      const offsetY = state.mouseY * layer.mouse - state.scrollY * layer.scroll;
+
+      layer.stars.forEach(star => {
+        const twinkle = state.animated ? 0.65 + 0.35 * Math.sin(state.time * star.speed + star.phase) : 1;
+        ctx.globalAlpha = layer.alpha * twinkle;
+        ctx.beginPath();
+        ctx.arc(wrap(star.x + offsetX, this.width), wrap(star.y + offsetY, this.height), star.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+
+    ctx.globalAlpha = 1;
+    if (state.animated && this.shootingStars) {
+      this.drawMeteors(state.delta);
+    }
+  }
+
+  drawMeteors(delta) {
+    if (Math.random() < delta / SHOOTING_STAR_INTERVAL) {
+      const angle = Math.PI / 6 + Math.random() * Math.PI / 6;
+      const speed = 500 + Math.random() * 400;
+      this.meteors.push({
+        x: Math.random() * this.width,
+        y: Math.random() * this.height * 0.5,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        age: 0,
+        life: 0.6 + Math.random() * 0.6
+      });
+    }
+
+    const ctx = this.context;
+    ctx.lineCap = 'round';
+    ctx.lineWidth = 1.5;
+
+    this.meteors = this.meteors.filter(meteor => {
+      meteor.age += delta;
+      meteor.x += meteor.vx * delta;
+      meteor.y += meteor.vy * delta;
+      if (meteor.age >= meteor.life) return false;
+
+      // Tail points back along the path and fades with age
+      const tailX = meteor.x - meteor.vx * 0.12;
+      const tailY = meteor.y - meteor.vy * 0.12;
+      const gradient = ctx.createLinearGradient(meteor.x, meteor.y, tailX, tailY);
+      gradient.addColorStop(0, `rgba(255, 255, 255, ${1 - meteor.age / meteor.life})`);
+      gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+      ctx.strokeStyle = gradient;
+      ctx.beginPath();
+      ctx.moveTo(meteor.x, meteor.y);
+      ctx.lineTo(tailX, tailY);
+      ctx.stroke();
+      return true;
+    });
   }
 }
 
-class StarsEnhancer {
+class StarfieldManager {
   constructor() {
-    this.createDynamicStars();
+    const containers = Array.from(document.querySelectorAll('.stars'));
+    const canvas = document.createElement('canvas');
+    // Without canvas the CSS stars of .stars stay visible
+    if (containers.length === 0 || !canvas.getContext || !canvas.getContext('2d')) return;
+
+    const lowPower = isLowPerformanceDevice();
+    this.fields = containers.map(container => new Starfield(container, {
+      density: lowPower ? STARFIELD_LOW_POWER_FACTOR : 1,
+      shootingStars: !lowPower
+    }));
+
+    this.visibleFields = new Set();
+    this.running = false;
+    this.paused = document.hidden;
+    this.frameId = null;
+    this.idleTimeout = null;
+    this.lastTime = null;
+    this.lastScrollY = null;
+    this.mouseX = 0;
+    this.mouseY = 0;
+    this.targetMouseX = 0;
+    this.targetMouseY = 0;
+    this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    this.init();
   }
 
-  createDynamicStars() {
-    const starsContainers = document.querySelectorAll('.stars');
-    
-    starsContainers.forEach(container => {
-      const starsCount = window.innerWidth < 768 ? 50 : 100;
-      const fragment = document.createDocumentFragment();
-      
-      for (let i = 0; i < starsCount; i++) {
-        const star = document.createElement('div');
-        const size = Math.random() * 2 + 1;
-        
-        star.className = 'star-point';
-        star.style.cssText = `
-          position: absolute;
-          width: ${size}px;
-          height: ${size}px;
-          background: white;
-          border-radius: 50%;
-          top: ${Math.random() * 100}%;
-          left: ${Math.random() * 100}%;
-          opacity: ${Math.random() * 0.7 + 0.3};
-          animation: twinkle ${2 + Math.random() * 3}s infinite ease-in-out;
-          animation-delay: ${Math.random() * 3}s;
-        `;
-        
-        fragment.appendChild(star);
+  init() {
+    const eventOptions = supports.passiveEvents ? { passive: true } : false;
+    const sections = this.fields.map(field => field.section).filter(Boolean);
+
+    observeSections(sections, { rootMargin: `${PARALLAX_VISIBILITY_MARGIN}px 0px` }, (section, visible) => {
+      this.fields
+        .filter(field => field.section === section)
+        .forEach(field => (visible ? this.visibleFields.add(field) : this.visibleFields.delete(field)));
+      this.start();
+    });
+
+    window.addEventListener('mousemove', (e) => {
+      this.targetMouseX = (e.clientX / window.innerWidth - 0.5) * 2;
+      this.targetMouseY = (e.clientY / window.innerHeight - 0.5) * 2;
+      this.wake();
+    }, eventOptions);
+
+    // Static frames still follow the scroll when the loop is not running
+    window.addEventListener('scroll', () => {
+      if (this.running) {
+        this.wake();
+      } else {
+        this.drawStatic();
+      }
+    }, eventOptions);
+
+    let resizeTimeout;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(() => {
+        this.fields.forEach(field => field.resize());
+        this.drawStatic();
+      }, 150);
+    }, eventOptions);
+
+    document.addEventListener('visibilitychange', () => {
+      this.paused = document.hidden;
+      if (this.paused) {
+        this.stop();
+      } else {
+        this.start();
       }
-      
-      container.appendChild(fragment);
     });
+
+    if (this.motionQuery && this.motionQuery.addEventListener) {
+      this.motionQuery.addEventListener('change', () => this.start());
+    }
+
+    this.drawStatic();
+    this.start();
+  }
+
+  prefersReducedMotion() {
+    return Boolean(this.motionQuery && this.motionQuery.matches);
+  }
+
+  start() {
+    if (this.running || this.paused || this.visibleFields.size === 0) return;
+
+    if (!supports.requestAnimationFrame || this.prefersReducedMotion()) {
+      this.drawStatic();
+      return;
+    }
+
+    this.running = true;
+    this.lastTime = null;
+    this.frameId = requestAnimationFrame(time => this.frame(time));
+  }
+
+  stop() {
+    clearTimeout(this.idleTimeout);
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.idleTimeout = null;
+    this.frameId = null;
+    this.running = false;
+  }
+
+  /**
+   * Go back to full frame rate when the scroll or the mouse moves
+   */
+  wake() {
+    if (this.idleTimeout === null) return;
+
+    clearTimeout(this.idleTimeout);
+    this.idleTimeout = null;
+    this.frameId = requestAnimationFrame(time => this.frame(time));
+  }
+
+  frame(time) {
+    this.frameId = null;
+
+    if (this.paused || this.visibleFields.size === 0 || this.prefersReducedMotion()) {
+      this.running = false;
+      this.drawStatic();
+      return;
+    }
+
+    // Clamp the step so a long pause does not launch a burst of meteors
+    const delta = this.lastTime === null ? 0 : Math.min((time - this.lastTime) / 1000, 0.1);
+    this.lastTime = time;
+    this.mouseX += (this.targetMouseX - this.mouseX) * 0.05;
+    this.mouseY += (this.targetMouseY - this.mouseY) * 0.05;
+
+    const state = this.getState({ animated: true, time: time / 1000, delta });
+    this.visibleFields.forEach(field => field.draw(state));
+
+    if (!this.isSettled(state.scrollY)) {
+      this.frameId = requestAnimationFrame(nextTime => this.frame(nextTime));
+      return;
+    }
+
+    // Only the twinkling moves: draw it at a lower rate until something wakes the loop
+    this.idleTimeout = setTimeout(() => {
+      this.idleTimeout = null;
+      this.frameId = requestAnimationFrame(nextTime => this.frame(nextTime));
+    }, 1000 / STARFIELD_IDLE_FPS);
+  }
+
+  isSettled(scrollY) {
+    const scrolled = scrollY !== this.lastScrollY;
+    this.lastScrollY = scrollY;
+
+    return !scrolled &&
+      Math.abs(this.targetMouseX - this.mouseX) < PARALLAX_MOUSE_EPSILON &&
+      Math.abs(this.targetMouseY - this.mouseY) < PARALLAX_MOUSE_EPSILON &&
+      this.fields.every(field => field.meteors.length === 0);
+  }
+
+  drawStatic() {
+    const state = this.getState({ animated: false, time: 0, delta: 0 });
+    this.fields
+      .filter(field => this.visibleFields.size === 0 || this.visibleFields.has(field))
+      .forEach(field => field.draw(state));
+  }
+
+  getState(frame) {
+    return {
+      ...frame,
+      scrollY: window.pageYOffset || document.documentElement.scrollTop,
+      mouseX: this.mouseX,
+      mouseY: this.mouseY
+    };
   }
 }
 
@@ -175,37 +692,188 @@ class ScrollProgressBar {
   }
 }
 
+/**
+ * Report when sections enter or leave the viewport
+ * (without IntersectionObserver every section counts as visible)
+ * @param {Array} sections - Section elements
+ * @param {Object} options - IntersectionObserver options
+ * @param {Function} callback - Called with (section, isVisible)
+ * @returns {IntersectionObserver|null} Observer
+ */
+function observeSections(sections, options, callback) {
+  if (!supports.intersectionObserver) {
+    sections.forEach(section => callback(section, true));
+    return null;
+  }
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => callback(entry.target, entry.isIntersecting));
+  }, options);
+
+  sections.forEach(section => {
+    observer.observe(section);
+  });
+  return observer;
+}
+
 class SectionObserver {
   constructor() {
-    this.sections = document.querySelectorAll('.parallax-section');
+    this.sections = Array.from(document.querySelectorAll('.parallax-section'));
+    this.current = null;
     this.init();
   }
 
   init() {
-    if (!supports.intersectionObserver) {
-      this.sections.forEach(section => {
-        section.classList.add('section-visible');
-      });
-      return;
-    }
-
     const options = {
       threshold: 0.2,
       rootMargin: '0px 0px -100px 0px'
     };
 
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('section-visible');
-        }
-      });
-    }, options);
+    observeSections(this.sections, options, (section, visible) => {
+      if (visible) {
+        section.classList.add('section-visible');
+      }
+    });
+
+    if (!supports.intersectionObserver) return;
+
+    // A zero-height band across the middle of the viewport picks the current section
+    observeSections(this.sections, { rootMargin: '-50% 0px -50% 0px' }, (section, visible) => {
+      if (!visible || section === this.current) return;
+
+      this.current = section;
+      document.dispatchEvent(new CustomEvent(SECTION_CHANGE_EVENT, { detail: { section } }));
+    });
+  }
+}
+
+class ChapterNavigator {
+  constructor() {
+    this.sections = Array.from(document.querySelectorAll('.parallax-section'));
+    this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    this.nav = null;
+    this.init();
+  }
+
+  init() {
+    this.render();
+    this.bindEvents();
+
+    // Sections are generated after the page loaded, so jump to a linked chapter here
+    this.jumpToHash(false);
+  }
+
+  render() {
+    this.nav = document.createElement('nav');
+    this.nav.className = 'chapter-nav';
+    this.nav.setAttribute('aria-label', t('parallax.chapters'));
+    this.nav.setAttribute('data-i18n-attr', 'aria-label:parallax.chapters');
+    this.nav.innerHTML = `
+      <ol class="chapter-list">
+        ${this.sections.map(section => `
+          <li>
+            <a href="#${section.id}" class="chapter-link" data-chapter="${section.id}">
+              <span class="chapter-dot" aria-hidden="true"></span>
+              <span class="chapter-label"></span>
+            </a>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+    document.body.appendChild(this.nav);
+    this.updateLabels();
+  }
 
+  updateLabels() {
     this.sections.forEach(section => {
-      observer.observe(section);
+      const heading = section.querySelector('.parallax-title, .parallax-subtitle');
+      const label = this.nav.querySelector(`[data-chapter="${section.id}"] .chapter-label`);
+      if (heading && label) label.textContent = heading.textContent;
     });
   }
+
+  bindEvents() {
+    this.nav.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-chapter]');
+      if (!link) return;
+
+      e.preventDefault();
+      this.goTo(this.sections.findIndex(section => section.id === link.dataset.chapter));
+    });
+
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    document.addEventListener(SECTION_CHANGE_EVENT, (e) => this.setCurrent(e.detail.section));
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => this.updateLabels());
+    window.addEventListener('hashchange', () => this.jumpToHash(true));
+  }
+
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const steps = { ArrowDown: 1, PageDown: 1, ArrowUp: -1, PageUp: -1 };
+    if (!(e.key in steps)) return;
+
+    const index = this.getCurrentIndex() + steps[e.key];
+    if (index < 0 || index >= this.sections.length) return;
+
+    e.preventDefault();
+    this.goTo(index);
+  }
+
+  getCurrentIndex() {
+    // Last section whose top has passed the middle of the viewport
+    const middle = window.innerHeight / 2;
+    let current = 0;
+    this.sections.forEach((section, index) => {
+      if (section.getBoundingClientRect().top <= middle) current = index;
+    });
+    return current;
+  }
+
+  goTo(index, smooth = true) {
+    const section = this.sections[index];
+    if (!section) return;
+
+    const reducedMotion = this.motionQuery && this.motionQuery.matches;
+    section.scrollIntoView({ behavior: smooth && !reducedMotion ? 'smooth' : 'auto', block: 'start' });
+
+    // Move keyboard focus along without a second scroll
+    section.setAttribute('tabindex', '-1');
+    section.focus({ preventScroll: true });
+  }
+
+  jumpToHash(smooth) {
+    const id = decodeURIComponent(location.hash.slice(1));
+    const index = this.sections.findIndex(section => section.id === id);
+    if (index >= 0) this.goTo(index, smooth);
+  }
+
+  setCurrent(section) {
+    this.nav.querySelectorAll('[data-chapter]').forEach(link => {
+      if (link.dataset.chapter === section.id) {
+        link.setAttribute('aria-current', 'step');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+
+    // The first chapter keeps a clean URL; replaceState adds no history entries
+    const hash = section === this.sections[0] ? '' : `#${section.id}`;
+    if (location.hash !== hash) {
+      history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+    }
+  }
+}
+
+/**
+ * Detect mobile or low-core devices that get lighter effects
+ * @returns {boolean} True on low performance devices
+ */
+function isLowPerformanceDevice() {
+  const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+  const isLowPerformance = navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4;
+  return Boolean(isMobile || isLowPerformance);
 }
 
 class PerformanceOptimizer {
@@ -214,10 +882,7 @@ class PerformanceOptimizer {
   }
 
   optimize() {
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    const isLowPerformance = navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4;
-    
-    if (isMobile || isLowPerformance) {
+    if (isLowPerformanceDevice()) {
       document.documentElement.classList.add('reduce-animations');
       
       const style = document.createElement('style');
@@ -225,10 +890,6 @@ class PerformanceOptimizer {
         .reduce-animations .parallax-planet {
           animation-duration: 8s !important;
         }
-        .reduce-animations .star-point {
-          animation: none !important;
-          opacity: 0.5 !important;
-        }
       `;
       document.head.appendChild(style);
     }
@@ -251,13 +912,19 @@ class PerformanceOptimizer {
 
 function initParallax() {
   try {
+    const scenesContainer = document.getElementById('parallax-scenes');
+    if (scenesContainer && typeof PARALLAX_SCENES !== 'undefined') {
+      new SceneRenderer(scenesContainer, PARALLAX_SCENES);
+    }
+
     if (!document.querySelector('.parallax-section')) {
       console.warn('⚠ No se encontraron secciones parallax');
       return;
     }
 
     new ScrollProgressBar();
-    new StarsEnhancer();
+    new StarfieldManager();
+    new ChapterNavigator();
     new SectionObserver();
     new ParallaxController();
     new PerformanceOptimizer();
@@ -0,0 +1,277 @@
+// ===== CONSTANTS =====
+const PLANET_COMPARISON_ID = 'planet-comparison';
+const COMPARISON_MIN_PLANETS = 2;
+const COMPARISON_CHART_WIDTH = 600;
+// Radius of the largest selected planet in the size chart
+const COMPARISON_MAX_RADIUS = 70;
+const DEFAULT_EARTH_WEIGHT = 70;
+const DEFAULT_PLANET_DAYS = 1;
+// Table rows: planet field -> formatted value
+const COMPARISON_ROWS = [
+  { key: 'diameter', format: planet => `${formatNumber(planet.diameter)} km` },
+  { key: 'mass', format: planet => t('comparison.timesEarth', { value: formatNumber(planet.mass, 3) }) },
+  { key: 'gravity', format: planet => t('comparison.timesEarth', { value: formatNumber(planet.gravity, 2) }) },
+  { key: 'distance', format: planet => formatDistance(planet.distance) },
+  { key: 'orbitalPeriod', format: planet => formatOrbitalPeriod(planet.orbitalPeriod) },
+  { key: 'dayLength', format: planet => formatDayLength(planet.dayLength) },
+  { key: 'orbitalVelocity', format: planet => `${formatNumber(planet.orbitalVelocity, 2)} km/s` },
+  { key: 'temperature', format: planet => `${planet.temperature}°C` },
+  { key: 'moons', format: planet => formatMoons(planet.moons) }
+];
+
+// ===== PLANET COMPARISON CLASS =====
+/**
+ * Class to compare the selected planet cards side by side
+ */
+class PlanetComparison {
+  constructor(catalog) {
+    this.catalog = catalog;
+    this.container = document.getElementById(PLANET_COMPARISON_ID);
+    if (!this.container) return;
+
+    this.compareButton = this.container.querySelector('.btn-compare');
+    this.clearButton = this.container.querySelector('.btn-clear-selection');
+    this.panel = this.container.querySelector('.comparison-panel');
+    this.open = false;
+    this.weight = DEFAULT_EARTH_WEIGHT;
+    this.days = DEFAULT_PLANET_DAYS;
+
+    this.initializeControls();
+    this.render();
+  }
+
+  /**
+   * Initialize selection, open/close and calculator controls
+   */
+  initializeControls() {
+    document.addEventListener(PLANET_SELECTION_EVENT, () => this.render());
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => this.render());
+
+    this.compareButton.addEventListener('click', () => {
+      this.open = true;
+      this.render();
+      scrollToElement(this.panel);
+    });
+
+    this.clearButton.addEventListener('click', () => {
+      document.querySelectorAll(`.${PLANET_CARD_CLASS}`).forEach(card => setPlanetCardActive(card, false));
+      document.dispatchEvent(new CustomEvent(PLANET_SELECTION_EVENT));
+    });
+
+    this.panel.addEventListener('click', (e) => {
+      if (e.target.closest('.btn-close-comparison')) {
+        this.close();
+      }
+    });
+
+    // Calculators only refresh their results so the inputs keep focus
+    this.panel.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      if (e.target.id === 'comparison-weight') {
+        this.weight = isNaN(value) ? 0 : value;
+      } else if (e.target.id === 'comparison-days') {
+        this.days = isNaN(value) ? 0 : value;
+      }
+      this.renderCalculators(this.getSelectedPlanets());
+    });
+  }
+
+  /**
+   * Get the selected planets in catalog order
+   * @returns {Array} Localized planets
+   */
+  getSelectedPlanets() {
+    const slugs = getSelectedPlanetSlugs();
+    return this.catalog.planets
+      .filter(planet => slugs.includes(planet.slug))
+      .map(localizeDestination);
+  }
+
+  /**
+   * Hide the comparison panel
+   */
+  close() {
+    this.open = false;
+    this.panel.hidden = true;
+    this.panel.innerHTML = '';
+  }
+
+  /**
+   * Update the compare button and, when open, the comparison panel
+   */
+  render() {
+    const planets = this.getSelectedPlanets();
+    const enough = planets.length >= COMPARISON_MIN_PLANETS;
+
+    this.compareButton.disabled = !enough;
+    this.compareButton.textContent = t('comparison.compare', { count: planets.length });
+    this.clearButton.disabled = planets.length === 0;
+
+    if (!this.open) return;
+    if (!enough) {
+      this.close();
+      return;
+    }
+
+    this.panel.hidden = false;
+    this.panel.innerHTML = `
+      <div class="comparison-header">
+        <h3>${t('comparison.title')}</h3>
+        <button type="button" class="btn-history btn-close-comparison">${t('comparison.close')}</button>
+      </div>
+      <div class="comparison-table-wrapper">
+        <table class="comparison-table">
+          <thead>
+            <tr>
+              <th scope="col">${t('comparison.property')}</th>
+              ${planets.map(planet => `<th scope="col">${planet.name}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${COMPARISON_ROWS
+              .map(row => `
+                <tr>
+                  <th scope="row">${t(`planet.${row.key}`)}</th>
+                  ${planets.map(planet => `<td>${row.format(planet)}</td>`).join('')}
+                </tr>
+              `)
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="comparison-charts">
+        <figure class="dashboard-chart">
+          <figcaption>${t('comparison.sizes')}</figcaption>
+          <div data-chart="sizes"></div>
+        </figure>
+        <figure class="dashboard-chart">
+          <figcaption>${t('comparison.distances')}</figcaption>
+          <div data-chart="distances"></div>
+        </figure>
+      </div>
+      <div class="comparison-calculators">
+        <div class="comparison-calculator">
+          <div class="form-group">
+            <label for="comparison-weight">${t('comparison.weight')}</label>
+            <input type="number" id="comparison-weight" min="0" step="0.1" value="${this.weight}">
+          </div>
+          <ul class="comparison-results" data-results="weight"></ul>
+        </div>
+        <div class="comparison-calculator">
+          <div class="form-group">
+            <label for="comparison-days">${t('comparison.days')}</label>
+            <input type="number" id="comparison-days" min="0" step="0.5" value="${this.days}">
+          </div>
+          <ul class="comparison-results" data-results="days"></ul>
+        </div>
+      </div>
+    `;
+
+    this.panel.querySelector('[data-chart="sizes"]').appendChild(this.createSizeChart(planets));
+    this.panel.querySelector('[data-chart="distances"]').appendChild(this.createDistanceChart(planets));
+    this.renderCalculators(planets);
+  }
+
+  /**
+   * Render the weight and day length calculator results
+   * @param {Array} planets - Localized planets
+   */
+  renderCalculators(planets) {
+    const weightResults = this.panel.querySelector('[data-results="weight"]');
+    const dayResults = this.panel.querySelector('[data-results="days"]');
+    if (!weightResults || !dayResults) return;
+
+    weightResults.innerHTML = planets
+      .map(planet => `<li><strong>${planet.name}:</strong> ${formatNumber(this.weight * planet.gravity, 1)} kg</li>`)
+      .join('');
+
+    dayResults.innerHTML = planets
+      .map(planet => `<li><strong>${planet.name}:</strong> ${t('units.earthHours', { value: formatNumber(this.days * planet.dayLength, 1) })}</li>`)
+      .join('');
+  }
+
+  /**
+   * Create a chart with the planets drawn to scale by diameter
+   * @param {Array} planets - Localized planets
+   * @returns {SVGElement} Chart
+   */
+  createSizeChart(planets) {
+    const gap = 20;
+    const maxDiameter = Math.max(...planets.map(planet => planet.diameter));
+    const radii = planets.map(planet => Math.max((planet.diameter / maxDiameter) * COMPARISON_MAX_RADIUS, 1.5));
+    const width = radii.reduce((sum, radius) => sum + Math.max(radius * 2, 60) + gap, gap);
+    const height = COMPARISON_MAX_RADIUS * 2 + 40;
+
+    const svg = createSvgElement('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      class: 'chart-svg',
+      role: 'img',
+      'aria-label': planets.map(planet => `${planet.name}: ${formatNumber(planet.diameter)} km`).join(', ')
+    });
+
+    let x = gap;
+    planets.forEach((planet, index) => {
+      const slot = Math.max(radii[index] * 2, 60);
+      const centerX = x + slot / 2;
+      svg.appendChild(createSvgElement('circle', {
+        cx: centerX,
+        cy: COMPARISON_MAX_RADIUS + 5,
+        r: radii[index],
+        fill: planet.color
+      }));
+
+      const label = createSvgElement('text', {
+        x: centerX,
+        y: height - 10,
+        class: 'chart-label',
+        'text-anchor': 'middle'
+      });
+      label.textContent = planet.name;
+      svg.appendChild(label);
+      x += slot + gap;
+    });
+
+    return svg;
+  }
+
+  /**
+   * Create a chart with the distances from the Sun to scale
+   * @param {Array} planets - Localized planets
+   * @returns {SVGElement} Chart
+   */
+  createDistanceChart(planets) {
+    const left = 30;
+    const right = COMPARISON_CHART_WIDTH - 40;
+    const axisY = 60;
+    const maxDistance = Math.max(...planets.map(planet => planet.distance));
+
+    const svg = createSvgElement('svg', {
+      viewBox: `0 0 ${COMPARISON_CHART_WIDTH} 120`,
+      class: 'chart-svg',
+      role: 'img',
+      'aria-label': planets.map(planet => `${planet.name}: ${formatDistance(planet.distance)}`).join(', ')
+    });
+
+    svg.appendChild(createSvgElement('line', {
+      x1: left, y1: axisY, x2: right, y2: axisY, class: 'comparison-axis'
+    }));
+    svg.appendChild(createSvgElement('circle', { cx: left, cy: axisY, r: 10, class: 'orrery-sun' }));
+
+    planets.forEach((planet, index) => {
+      const x = left + (planet.distance / maxDistance) * (right - left);
+      svg.appendChild(createSvgElement('circle', { cx: x, cy: axisY, r: 6, fill: planet.color }));
+
+      // Alternate labels above and below the axis so close planets stay readable
+      const label = createSvgElement('text', {
+        x,
+        y: index % 2 === 0 ? axisY - 18 : axisY + 28,
+        class: 'chart-label',
+        'text-anchor': 'middle'
+      });
+      label.textContent = planet.name;
+      svg.appendChild(label);
+    });
+
+    return svg;
+  }
+}
@@ -0,0 +1,624 @@
+// ===== PLANET DATA =====
+/**
+ * Planet catalog used to render the planet grid and the planet detail blocks.
+ *
+ * Units:
+ * - diameter: km
+ * - mass, gravity: relative to Earth
+ * - distance: millions of km from the Sun (mean)
+ * - orbitalPeriod: Earth days
+ * - dayLength: Earth hours (sidereal rotation)
+ * - orbitalVelocity: km/s
+ * - temperature: mean °C
+ * - color: dot color used in charts and the orrery
+ * - orbit: J2000 Keplerian elements as [value, rate per Julian century]
+ *   (JPL approximate positions, valid 1800-2050):
+ *   a semi-major axis (AU), e eccentricity, i inclination, L mean longitude,
+ *   peri longitude of perihelion, node longitude of the ascending node (degrees)
+ *
+ * aliases are alternative names (e.g. English) used to match free-text destinations.
+ */
+const PLANETS = [
+  {
+    slug: 'mercurio',
+    aliases: ['mercury'],
+    name: 'Mercurio',
+    title: 'El Mensajero Veloz',
+    color: '#b0a8a0',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/4/4a/Mercury_in_true_color.jpg',
+    info: 'Mercurio es el planeta localizado más cerca al Sol.',
+    diameter: 4879,
+    mass: 0.055,
+    gravity: 0.38,
+    distance: 57.9,
+    orbitalPeriod: 88,
+    dayLength: 1407.6,
+    orbitalVelocity: 47.4,
+    temperature: 167,
+    moons: 0,
+    orbit: {
+      a: [0.38709927, 0.00000037],
+      e: [0.20563593, 0.00001906],
+      i: [7.00497902, -0.00594749],
+      L: [252.25032350, 149472.67411175],
+      peri: [77.45779628, 0.16047689],
+      node: [48.33076593, -0.12534081]
+    },
+    composition: 'Núcleo metálico de hierro y manto rocoso',
+    climate: [
+      { label: 'Atmósfera', value: 'Exosfera muy tenue de oxígeno, sodio e hidrógeno' },
+      { label: 'Contraste térmico', value: 'De 430°C de día a -180°C de noche' }
+    ],
+    moonsAndRings: [
+      { label: 'Anillos', value: 'No tiene' }
+    ],
+    discovery: {
+      date: 'Conocido desde la Antigüedad',
+      discoverers: 'Astrónomos sumerios',
+      method: 'Observación a simple vista'
+    },
+    facts: [
+      'Es el planeta más pequeño del sistema solar',
+      'Un año dura solo 88 días terrestres',
+      'Su superficie está cubierta de cráteres como la Luna',
+      'Ha sido visitado por las sondas Mariner 10, MESSENGER y BepiColombo'
+    ]
+  },
+  {
+    slug: 'venus',
+    aliases: ['venus'],
+    name: 'Venus',
+    title: 'El Infierno Velado',
+    color: '#e8c57a',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/e/e5/Venus-real_color.jpg',
+    info: 'Venus tiene una atmósfera densa y bastante calurosa.',
+    diameter: 12104,
+    mass: 0.815,
+    gravity: 0.91,
+    distance: 108.2,
+    orbitalPeriod: 224.7,
+    dayLength: 5832.5,
+    orbitalVelocity: 35.0,
+    temperature: 464,
+    moons: 0,
+    orbit: {
+      a: [0.72333566, 0.00000390],
+      e: [0.00677672, -0.00004107],
+      i: [3.39467605, -0.0007889],
+      L: [181.9790995, 58517.81538729],
+      peri: [131.60246718, 0.00268329],
+      node: [76.67984255, -0.27769418]
+    },
+    composition: 'Núcleo de hierro, manto rocoso y corteza basáltica',
+    climate: [
+      { label: 'Atmósfera', value: 'Dióxido de carbono con nubes de ácido sulfúrico' },
+      { label: 'Presión', value: '92 veces la de la Tierra' }
+    ],
+    moonsAndRings: [
+      { label: 'Anillos', value: 'No tiene' }
+    ],
+    discovery: {
+      date: 'Conocido desde la Antigüedad',
+      discoverers: 'Astrónomos babilonios',
+      method: 'Observación a simple vista'
+    },
+    facts: [
+      'Es el planeta más caliente del sistema solar',
+      'Gira en sentido contrario al de la mayoría de planetas',
+      'Su día es más largo que su año',
+      'Es el objeto más brillante del cielo nocturno tras la Luna'
+    ]
+  },
+  {
+    slug: 'tierra',
+    aliases: ['earth'],
+    name: 'Tierra',
+    title: 'El Planeta Azul',
+    color: '#4f8fd8',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/9/97/The_Earth_seen_from_Apollo_17.jpg',
+    info: 'La Tierra, hogar, el único planeta conocido con vida.',
+    diameter: 12742,
+    mass: 1,
+    gravity: 1,
+    distance: 149.6,
+    orbitalPeriod: 365.25,
+    dayLength: 23.9,
+    orbitalVelocity: 29.8,
+    temperature: 15,
+    moons: 1,
+    orbit: {
+      a: [1.00000261, 0.00000562],
+      e: [0.01671123, -0.00004392],
+      i: [-0.00001531, -0.01294668],
+      L: [100.46457166, 35999.37244981],
+      peri: [102.93768193, 0.32327364],
+      node: [0, 0]
+    },
+    composition: 'Núcleo de hierro y níquel, manto de silicatos y corteza rocosa',
+    climate: [
+      { label: 'Atmósfera', value: 'Nitrógeno y oxígeno' },
+      { label: 'Agua', value: 'El 71% de la superficie está cubierta de océanos' }
+    ],
+    moonsAndRings: [
+      { label: 'Luna principal', value: 'La Luna' },
+      { label: 'Anillos', value: 'No tiene' }
+    ],
+    discovery: {
+      date: 'Nuestro hogar',
+      discoverers: 'Aristarco de Samos propuso que orbita el Sol',
+      method: 'Razonamiento geométrico'
+    },
+    facts: [
+      'Es el planeta más denso del sistema solar',
+      'Su campo magnético nos protege del viento solar',
+      'Es el único planeta con placas tectónicas activas conocidas',
+      'La Luna estabiliza la inclinación de su eje'
+    ]
+  },
+  {
+    slug: 'marte',
+    aliases: ['mars'],
+    name: 'Marte',
+    title: 'El Planeta Rojo',
+    color: '#d2603a',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/0/02/OSIRIS_Mars_true_color.jpg',
+    info: 'Marte, el planeta rojo, podría albergar vida en el futuro.',
+    diameter: 6779,
+    mass: 0.107,
+    gravity: 0.38,
+    distance: 227.9,
+    orbitalPeriod: 687,
+    dayLength: 24.6,
+    orbitalVelocity: 24.1,
+    temperature: -65,
+    moons: 2,
+    orbit: {
+      a: [1.52371034, 0.00001847],
+      e: [0.0933941, 0.00007882],
+      i: [1.84969142, -0.00813131],
+      L: [-4.55343205, 19140.30268499],
+      peri: [-23.94362959, 0.44441088],
+      node: [49.55953891, -0.29257343]
+    },
+    composition: 'Núcleo de hierro y azufre, manto rocoso y corteza rica en óxido de hierro',
+    climate: [
+      { label: 'Atmósfera', value: 'Tenue, de dióxido de carbono' },
+      { label: 'Tormentas', value: 'Tormentas de polvo que cubren todo el planeta' }
+    ],
+    moonsAndRings: [
+      { label: 'Lunas', value: 'Fobos y Deimos' },
+      { label: 'Anillos', value: 'No tiene' }
+    ],
+    discovery: {
+      date: 'Conocido desde la Antigüedad',
+      discoverers: 'Astrónomos egipcios',
+      method: 'Observación a simple vista'
+    },
+    facts: [
+      'Alberga el Monte Olimpo, el volcán más alto del sistema solar',
+      'Su color rojo se debe al óxido de hierro',
+      'Tiene casquetes polares de hielo de agua y CO₂',
+      'Varios rovers exploran hoy su superficie'
+    ]
+  },
+  {
+    slug: 'jupiter',
+    aliases: ['jupiter'],
+    name: 'Júpiter',
+    title: 'El Rey de los Planetas',
+    color: '#d8b48a',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/e/e2/Jupiter.jpg',
+    info: 'Júpiter es el planeta más grande del sistema solar.',
+    diameter: 139820,
+    mass: 317.8,
+    gravity: 2.53,
+    distance: 778.5,
+    orbitalPeriod: 4331,
+    dayLength: 9.9,
+    orbitalVelocity: 13.1,
+    temperature: -110,
+    moons: 95,
+    orbit: {
+      a: [5.202887, -0.00011607],
+      e: [0.04838624, -0.00013253],
+      i: [1.30439695, -0.00183714],
+      L: [34.39644051, 3034.74612775],
+      peri: [14.72847983, 0.21252668],
+      node: [100.47390909, 0.20469106]
+    },
+    composition: 'Hidrógeno y helio',
+    climate: [
+      { label: 'Gran Mancha Roja', value: 'Tormenta más grande que la Tierra' },
+      { label: 'Vientos', value: 'Hasta 620 km/h' }
+    ],
+    moonsAndRings: [
+      { label: 'Luna principal', value: 'Ganímedes (la más grande del sistema solar)' },
+      { label: 'Anillos', value: 'Anillos tenues de polvo' }
+    ],
+    discovery: {
+      date: 'Conocido desde la Antigüedad',
+      discoverers: 'Galileo Galilei descubrió sus lunas en 1610',
+      method: 'Observación a simple vista'
+    },
+    facts: [
+      'Su masa es más del doble que la de todos los demás planetas juntos',
+      'Tiene el día más corto del sistema solar',
+      'Su campo magnético es el más intenso de los planetas',
+      'Actúa como escudo desviando cometas y asteroides'
+    ]
+  },
+  {
+    slug: 'saturno',
+    aliases: ['saturn'],
+    name: 'Saturno',
+    title: 'El Señor de los Anillos',
+    color: '#e6d38f',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/2/29/Saturn_Storm.jpg',
+    info: 'Saturno destaca por sus impresionantes anillos.',
+    diameter: 116460,
+    mass: 95.2,
+    gravity: 1.07,
+    distance: 1432,
+    orbitalPeriod: 10747,
+    dayLength: 10.7,
+    orbitalVelocity: 9.7,
+    temperature: -140,
+    moons: 146,
+    orbit: {
+      a: [9.53667594, -0.0012506],
+      e: [0.05386179, -0.00050991],
+      i: [2.48599187, 0.00193609],
+      L: [49.95424423, 1222.49362201],
+      peri: [92.59887831, -0.41897216],
+      node: [113.66242448, -0.28867794]
+    },
+    composition: 'Hidrógeno y helio',
+    climate: [
+      { label: 'Hexágono polar', value: 'Corriente en chorro de seis lados en el polo norte' },
+      { label: 'Vientos', value: 'Hasta 1.800 km/h' }
+    ],
+    moonsAndRings: [
+      { label: 'Luna principal', value: 'Titán (con atmósfera densa)' },
+      { label: 'Anillos', value: 'Sistema de anillos de hielo y roca' }
+    ],
+    discovery: {
+      date: 'Conocido desde la Antigüedad',
+      discoverers: 'Christiaan Huygens identificó sus anillos en 1659',
+      method: 'Observación a simple vista'
+    },
+    facts: [
+      'Es el planeta menos denso: flotaría en el agua',
+      'Sus anillos miden apenas decenas de metros de grosor',
+      'Es el planeta con más lunas conocidas',
+      'La sonda Cassini lo estudió durante 13 años'
+    ]
+  },
+  {
+    slug: 'urano',
+    aliases: ['uranus'],
+    name: 'Urano',
+    title: 'El Gigante Tumbado',
+    color: '#8fd3dc',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/3/3d/Uranus2.jpg',
+    info: 'Urano gira de lado, como rodando sobre su órbita.',
+    diameter: 50724,
+    mass: 14.5,
+    gravity: 0.89,
+    distance: 2867,
+    orbitalPeriod: 30589,
+    dayLength: 17.2,
+    orbitalVelocity: 6.8,
+    temperature: -195,
+    moons: 28,
+    orbit: {
+      a: [19.18916464, -0.00196176],
+      e: [0.04725744, -0.00004397],
+      i: [0.77263783, -0.00242939],
+      L: [313.23810451, 428.48202785],
+      peri: [170.9542763, 0.40805281],
+      node: [74.01692503, 0.04240589]
+    },
+    composition: 'Hielos de agua, metano y amoníaco sobre un núcleo rocoso',
+    climate: [
+      { label: 'Atmósfera', value: 'Hidrógeno, helio y metano' },
+      { label: 'Estaciones', value: 'Cada polo pasa 42 años de luz y 42 de oscuridad' }
+    ],
+    moonsAndRings: [
+      { label: 'Luna principal', value: 'Titania' },
+      { label: 'Anillos', value: '13 anillos oscuros y estrechos' }
+    ],
+    discovery: {
+      date: '13 de marzo de 1781',
+      discoverers: 'William Herschel',
+      method: 'Observación con telescopio'
+    },
+    facts: [
+      'Su eje está inclinado 98 grados',
+      'Fue el primer planeta descubierto con telescopio',
+      'Sus lunas llevan nombres de personajes de Shakespeare y Pope',
+      'Solo ha sido visitado una vez por la Voyager 2 en 1986'
+    ]
+  },
+  {
+    slug: 'neptuno',
+    aliases: ['neptune'],
+    name: 'Neptuno',
+    title: 'El Gigante Azul',
+    color: '#4a6fe0',
+    image: 'https://upload.wikimedia.org/wikipedia/commons/5/56/Neptune_Full.jpg',
+    info: 'Neptuno es el planeta localizado más lejos del Sol.',
+    diameter: 49244,
+    mass: 17.1,
+    gravity: 1.14,
+    distance: 4500,
+    orbitalPeriod: 60190,
+    dayLength: 16.1,
+    orbitalVelocity: 5.43,
+    temperature: -214,
+    moons: 16,
+    orbit: {
+      a: [30.06992276, 0.00026291],
+      e: [0.00859048, 0.00005105],
+      i: [1.77004347, 0.00035372],
+      L: [-55.12002969, 218.45945325],
+      peri: [44.96476227, -0.32241464],
+      node: [131.78422574, -0.00508664]
+    },
+    composition: 'Hidrógeno, helio y metano',
+    climate: [
+      { label: 'Vientos', value: 'Hasta 2.100 km/h (los más rápidos del sistema solar)' },
+      { label: 'Atmósfera', value: 'Nubes de metano congelado' },
+      { label: 'Color', value: 'Azul intenso debido al metano' }
+    ],
+    moonsAndRings: [
+      { label: 'Luna principal', value: 'Tritón (la más grande)' },
+      { label: 'Anillos', value: '5 anillos principales' },
+      { label: 'Tritón', value: 'Única luna grande con órbita retrógrada' }
+    ],
+    discovery: {
+      date: '23 de septiembre de 1846',
+      discoverers: 'Urbain Le Verrier, Johann Galle',
+      method: 'Predicción matemática'
+    },
+    facts: [
+      'Es el planeta más denso de los gigantes gaseosos',
+      'Tiene un núcleo rocoso del tamaño de la Tierra',
+      'La Gran Mancha Oscura es una tormenta del tamaño de la Tierra',
+      'Solo ha sido visitado una vez por la Voyager 2 en 1989'
+    ]
+  }
+];
+
+// ===== MISSION DESTINATIONS =====
+/**
+ * Destinations that are not planets but can be targeted by missions
+ */
+const OTHER_DESTINATIONS = [
+  { slug: 'sol', name: 'Sol', aliases: ['sun'] },
+  { slug: 'luna', name: 'Luna', aliases: ['moon', 'la luna'] },
+  { slug: 'cinturon-de-asteroides', name: 'Cinturón de asteroides', aliases: ['asteroid belt', 'asteroides'] },
+  { slug: 'cinturon-de-kuiper', name: 'Cinturón de Kuiper', aliases: ['kuiper belt', 'pluton', 'pluto'] },
+  { slug: 'espacio-interestelar', name: 'Espacio Interestelar', aliases: ['interstellar space'] },
+  { slug: 'otro', name: 'Otro destino', aliases: [] }
+];
+
+/**
+ * Every destination a mission can be assigned to
+ */
+const DESTINATIONS = [...PLANETS, ...OTHER_DESTINATIONS];
+
+// ===== DESTINATION TRANSLATIONS =====
+/**
+ * Translated text fields by language and slug. The data above is in Spanish;
+ * fields missing here fall back to it.
+ */
+const DESTINATION_TRANSLATIONS = {
+  en: {
+    mercurio: {
+      name: 'Mercury',
+      title: 'The Swift Messenger',
+      info: 'Mercury is the planet located closest to the Sun.',
+      composition: 'Metallic iron core and rocky mantle',
+      climate: [
+        { label: 'Atmosphere', value: 'Very thin exosphere of oxygen, sodium and hydrogen' },
+        { label: 'Temperature swing', value: 'From 430°C by day to -180°C at night' }
+      ],
+      moonsAndRings: [
+        { label: 'Rings', value: 'None' }
+      ],
+      discovery: {
+        date: 'Known since Antiquity',
+        discoverers: 'Sumerian astronomers',
+        method: 'Naked-eye observation'
+      },
+      facts: [
+        'It is the smallest planet in the solar system',
+        'A year lasts only 88 Earth days',
+        'Its surface is covered in craters like the Moon',
+        'It has been visited by the Mariner 10, MESSENGER and BepiColombo probes'
+      ]
+    },
+    venus: {
+      name: 'Venus',
+      title: 'The Veiled Inferno',
+      info: 'Venus has a dense and scorching atmosphere.',
+      composition: 'Iron core, rocky mantle and basaltic crust',
+      climate: [
+        { label: 'Atmosphere', value: 'Carbon dioxide with sulfuric acid clouds' },
+        { label: 'Pressure', value: '92 times Earth\'s' }
+      ],
+      moonsAndRings: [
+        { label: 'Rings', value: 'None' }
+      ],
+      discovery: {
+        date: 'Known since Antiquity',
+        discoverers: 'Babylonian astronomers',
+        method: 'Naked-eye observation'
+      },
+      facts: [
+        'It is the hottest planet in the solar system',
+        'It spins in the opposite direction to most planets',
+        'Its day is longer than its year',
+        'It is the brightest object in the night sky after the Moon'
+      ]
+    },
+    tierra: {
+      name: 'Earth',
+      title: 'The Blue Planet',
+      info: 'Earth, our home, the only planet known to host life.',
+      composition: 'Iron and nickel core, silicate mantle and rocky crust',
+      climate: [
+        { label: 'Atmosphere', value: 'Nitrogen and oxygen' },
+        { label: 'Water', value: 'Oceans cover 71% of the surface' }
+      ],
+      moonsAndRings: [
+        { label: 'Main moon', value: 'The Moon' },
+        { label: 'Rings', value: 'None' }
+      ],
+      discovery: {
+        date: 'Our home',
+        discoverers: 'Aristarchus of Samos proposed that it orbits the Sun',
+        method: 'Geometric reasoning'
+      },
+      facts: [
+        'It is the densest planet in the solar system',
+        'Its magnetic field protects us from the solar wind',
+        'It is the only planet known to have active plate tectonics',
+        'The Moon stabilizes the tilt of its axis'
+      ]
+    },
+    marte: {
+      name: 'Mars',
+      title: 'The Red Planet',
+      info: 'Mars, the red planet, could host life in the future.',
+      composition: 'Iron and sulfur core, rocky mantle and iron oxide rich crust',
+      climate: [
+        { label: 'Atmosphere', value: 'Thin, made of carbon dioxide' },
+        { label: 'Storms', value: 'Dust storms that cover the whole planet' }
+      ],
+      moonsAndRings: [
+        { label: 'Moons', value: 'Phobos and Deimos' },
+        { label: 'Rings', value: 'None' }
+      ],
+      discovery: {
+        date: 'Known since Antiquity',
+        discoverers: 'Egyptian astronomers',
+        method: 'Naked-eye observation'
+      },
+      facts: [
+        'It is home to Olympus Mons, the tallest volcano in the solar system',
+        'Its red color comes from iron oxide',
+        'It has polar caps of water ice and CO₂',
+        'Several rovers are exploring its surface today'
+      ]
+    },
+    jupiter: {
+      name: 'Jupiter',
+      title: 'The King of the Planets',
+      info: 'Jupiter is the largest planet in the solar system.',
+      composition: 'Hydrogen and helium',
+      climate: [
+        { label: 'Great Red Spot', value: 'A storm larger than Earth' },
+        { label: 'Winds', value: 'Up to 620 km/h' }
+      ],
+      moonsAndRings: [
+        { label: 'Main moon', value: 'Ganymede (the largest in the solar system)' },
+        { label: 'Rings', value: 'Faint dust rings' }
+      ],
+      discovery: {
+        date: 'Known since Antiquity',
+        discoverers: 'Galileo Galilei discovered its moons in 1610',
+        method: 'Naked-eye observation'
+      },
+      facts: [
+        'Its mass is more than twice that of all the other planets combined',
+        'It has the shortest day in the solar system',
+        'Its magnetic field is the strongest of all the planets',
+        'It acts as a shield by deflecting comets and asteroids'
+      ]
+    },
+    saturno: {
+      name: 'Saturn',
+      title: 'The Lord of the Rings',
+      info: 'Saturn stands out for its stunning rings.',
+      composition: 'Hydrogen and helium',
+      climate: [
+        { label: 'Polar hexagon', value: 'Six-sided jet stream at the north pole' },
+        { label: 'Winds', value: 'Up to 1,800 km/h' }
+      ],
+      moonsAndRings: [
+        { label: 'Main moon', value: 'Titan (with a dense atmosphere)' },
+        { label: 'Rings', value: 'Ring system of ice and rock' }
+      ],
+      discovery: {
+        date: 'Known since Antiquity',
+        discoverers: 'Christiaan Huygens identified its rings in 1659',
+        method: 'Naked-eye observation'
+      },
+      facts: [
+        'It is the least dense planet: it would float on water',
+        'Its rings are only tens of meters thick',
+        'It is the planet with the most known moons',
+        'The Cassini probe studied it for 13 years'
+      ]
+    },
+    urano: {
+      name: 'Uranus',
+      title: 'The Sideways Giant',
+      info: 'Uranus spins on its side, as if rolling along its orbit.',
+      composition: 'Water, methane and ammonia ices over a rocky core',
+      climate: [
+        { label: 'Atmosphere', value: 'Hydrogen, helium and methane' },
+        { label: 'Seasons', value: 'Each pole gets 42 years of daylight and 42 of darkness' }
+      ],
+      moonsAndRings: [
+        { label: 'Main moon', value: 'Titania' },
+        { label: 'Rings', value: '13 dark, narrow rings' }
+      ],
+      discovery: {
+        date: 'March 13, 1781',
+        discoverers: 'William Herschel',
+        method: 'Telescope observation'
+      },
+      facts: [
+        'Its axis is tilted 98 degrees',
+        'It was the first planet discovered with a telescope',
+        'Its moons are named after characters by Shakespeare and Pope',
+        'It has only been visited once, by Voyager 2 in 1986'
+      ]
+    },
+    neptuno: {
+      name: 'Neptune',
+      title: 'The Blue Giant',
+      info: 'Neptune is the planet located farthest from the Sun.',
+      composition: 'Hydrogen, helium and methane',
+      climate: [
+        { label: 'Winds', value: 'Up to 2,100 km/h (the fastest in the solar system)' },
+        { label: 'Atmosphere', value: 'Clouds of frozen methane' },
+        { label: 'Color', value: 'Deep blue due to methane' }
+      ],
+      moonsAndRings: [
+        { label: 'Main moon', value: 'Triton (the largest)' },
+        { label: 'Rings', value: '5 main rings' },
+        { label: 'Triton', value: 'The only large moon with a retrograde orbit' }
+      ],
+      discovery: {
+        date: 'September 23, 1846',
+        discoverers: 'Urbain Le Verrier, Johann Galle',
+        method: 'Mathematical prediction'
+      },
+      facts: [
+        'It is the densest of the gas giants',
+        'It has a rocky core the size of Earth',
+        'The Great Dark Spot is a storm the size of Earth',
+        'It has only been visited once, by Voyager 2 in 1989'
+      ]
+    },
+    sol: { name: 'Sun' },
+    luna: { name: 'Moon' },
+    'cinturon-de-asteroides': { name: 'Asteroid belt' },
+    'cinturon-de-kuiper': { name: 'Kuiper belt' },
+    'espacio-interestelar': { name: 'Interstellar Space' },
+    otro: { name: 'Other destination' }
+  }
+};
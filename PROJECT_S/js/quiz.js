@@ -0,0 +1,623 @@
+// ===== CONSTANTS =====
+const QUIZ_CONTAINER_ID = 'quiz-container';
+const QUIZ_SCORES_STORAGE_KEY = 'project_s_quiz_scores';
+const QUIZ_HISTORY_LIMIT = 10;
+// Attempts to find a new, non-repeated question before giving up
+const QUIZ_MAX_ATTEMPTS = 50;
+const QUIZ_DIFFICULTIES = {
+  easy: {
+    questions: 5,
+    options: 3,
+    points: 1,
+    properties: ['diameter', 'distance', 'moons', 'temperature'],
+    yearOffsets: [5, 10, 15, 20]
+  },
+  medium: {
+    questions: 8,
+    options: 4,
+    points: 2,
+    properties: ['diameter', 'distance', 'moons', 'temperature', 'mass', 'orbitalPeriod', 'gravity'],
+    yearOffsets: [2, 4, 6, 8]
+  },
+  hard: {
+    questions: 10,
+    options: 4,
+    points: 3,
+    properties: ['diameter', 'distance', 'moons', 'temperature', 'mass', 'orbitalPeriod', 'gravity', 'dayLength', 'orbitalVelocity'],
+    yearOffsets: [1, 2, 3]
+  }
+};
+// Question generators (Quiz methods); mission questions need at least one mission
+const QUIZ_PLANET_GENERATORS = [
+  'createHighestQuestion',
+  'createValueQuestion',
+  'createComparisonQuestion',
+  'createFactQuestion',
+  'createDiscoveryQuestion'
+];
+// Planets with their own discovery; the rest were known since Antiquity and
+// share the same date and method, so a discovery question could not tell them apart
+const QUIZ_DISCOVERY_PLANETS = ['urano', 'neptuno'];
+const QUIZ_MISSION_GENERATORS = [
+  'createDestinationQuestion',
+  'createYearQuestion',
+  'createCrewedQuestion'
+];
+
+// ===== HELPERS =====
+/**
+ * Get a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Pick a random item of an array
+ * @param {Array} items - Items
+ * @returns {*} Random item
+ */
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Format a planet property the same way the comparison table does
+ * @param {string} key - Planet property
+ * @param {Object} planet - Planet data
+ * @returns {string} Formatted value
+ */
+function formatPlanetValue(key, planet) {
+  return COMPARISON_ROWS.find(row => row.key === key).format(planet);
+}
+
+// ===== QUIZ CLASS =====
+/**
+ * Class to run a trivia quiz generated from planet data and saved missions.
+ * Question texts are functions so an open quiz follows language changes.
+ */
+class Quiz {
+  constructor(store) {
+    this.store = store;
+    this.container = document.getElementById(QUIZ_CONTAINER_ID);
+    if (!this.container) return;
+
+    this.difficulty = 'easy';
+    this.questions = [];
+    this.current = 0;
+    this.answer = null;
+    this.correct = 0;
+    this.score = 0;
+    this.newRecord = false;
+    this.state = 'start';
+    this.scores = this.loadScores();
+
+    this.initializeControls();
+    this.render();
+  }
+
+  /**
+   * Initialize delegated quiz controls
+   */
+  initializeControls() {
+    this.container.addEventListener('click', (e) => {
+      const option = e.target.closest('.quiz-option');
+      if (option) {
+        this.selectAnswer(parseInt(option.dataset.index));
+        return;
+      }
+
+      const action = e.target.closest('[data-quiz-action]');
+      if (!action) return;
+
+      if (action.dataset.quizAction === 'start') {
+        this.start();
+      } else if (action.dataset.quizAction === 'next') {
+        this.next();
+      } else if (action.dataset.quizAction === 'restart') {
+        this.state = 'start';
+        this.render();
+        this.focusHeading();
+      }
+    });
+
+    this.container.addEventListener('change', (e) => {
+      if (e.target.name === 'quiz-difficulty') {
+        this.difficulty = e.target.value;
+      }
+    });
+
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => this.render());
+  }
+
+  /**
+   * Load best scores and history from localStorage
+   * @returns {Object} {best, history}
+   */
+  loadScores() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(QUIZ_SCORES_STORAGE_KEY));
+      return {
+        best: (stored && stored.best) || {},
+        history: (stored && Array.isArray(stored.history)) ? stored.history : []
+      };
+    } catch (error) {
+      return { best: {}, history: [] };
+    }
+  }
+
+  /**
+   * Save best scores and history to localStorage
+   */
+  saveScores() {
+    localStorage.setItem(QUIZ_SCORES_STORAGE_KEY, JSON.stringify(this.scores));
+  }
+
+  /**
+   * Get the settings of the selected difficulty
+   * @returns {Object} Difficulty settings
+   */
+  getSettings() {
+    return QUIZ_DIFFICULTIES[this.difficulty];
+  }
+
+  /**
+   * Generate a new set of questions and show the first one
+   */
+  start() {
+    this.questions = this.generateQuestions();
+    this.current = 0;
+    this.answer = null;
+    this.correct = 0;
+    this.score = 0;
+    this.newRecord = false;
+    this.state = 'question';
+    this.render();
+    this.focusHeading();
+  }
+
+  /**
+   * Generate unique questions for the selected difficulty
+   * @returns {Array} Questions
+   */
+  generateQuestions() {
+    const missions = this.store ? this.store.list() : [];
+    const generators = missions.length > 0
+      ? [...QUIZ_PLANET_GENERATORS, ...QUIZ_MISSION_GENERATORS]
+      : QUIZ_PLANET_GENERATORS;
+    const questions = [];
+    const usedIds = new Set();
+
+    for (let attempt = 0; attempt < QUIZ_MAX_ATTEMPTS && questions.length < this.getSettings().questions; attempt++) {
+      const question = this[pickRandom(generators)](missions);
+      if (question && !usedIds.has(question.id)) {
+        usedIds.add(question.id);
+        questions.push(question);
+      }
+    }
+
+    return questions;
+  }
+
+  /**
+   * Build a multiple-choice question with shuffled, HTML-escaped options
+   * @param {Object} question - {id, text, explanation}
+   * @param {Function} correctLabel - Label of the correct option
+   * @param {Array} wrongLabels - Labels of the wrong options
+   * @returns {Object} Question
+   */
+  createChoice(question, correctLabel, wrongLabels) {
+    const options = shuffle([
+      { label: correctLabel, correct: true },
+      ...wrongLabels.map(label => ({ label, correct: false }))
+    ].map(option => ({ ...option, label: () => escapeHtml(option.label()) })));
+    return { ...question, type: 'choice', options };
+  }
+
+  /**
+   * Build a true/false question
+   * @param {Object} question - {id, text, explanation}
+   * @param {boolean} isTrue - Whether the statement is true
+   * @returns {Object} Question
+   */
+  createTrueFalse(question, isTrue) {
+    return {
+      ...question,
+      type: 'boolean',
+      options: [
+        { label: () => t('quiz.true'), correct: isTrue },
+        { label: () => t('quiz.false'), correct: !isTrue }
+      ]
+    };
+  }
+
+  /**
+   * Pick planets whose property values are all different
+   * @param {string} key - Planet property
+   * @param {number} count - Number of planets
+   * @returns {Array} Planets
+   */
+  pickDistinctPlanets(key, count) {
+    const picked = [];
+    shuffle(PLANETS).forEach(planet => {
+      if (picked.length < count && !picked.some(other => other[key] === planet[key])) {
+        picked.push(planet);
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * Get the translated name of a planet property
+   * @param {string} key - Planet property
+   * @returns {string} Property name
+   */
+  getPropertyName(key) {
+    return t(`planet.${key}`);
+  }
+
+  /**
+   * List property values of several planets for an explanation
+   * @param {string} key - Planet property
+   * @param {Array} planets - Planets
+   * @returns {string} "Planet: value" pairs
+   */
+  listValues(key, planets) {
+    return planets
+      .map(planet => `${getDestinationName(planet.slug)}: ${formatPlanetValue(key, planet)}`)
+      .join(' · ');
+  }
+
+  /**
+   * "Which of these planets has the highest/lowest X?"
+   * @returns {Object} Question
+   */
+  createHighestQuestion() {
+    const settings = this.getSettings();
+    const key = pickRandom(settings.properties);
+    const planets = this.pickDistinctPlanets(key, settings.options);
+    const lowest = this.difficulty !== 'easy' && Math.random() < 0.5;
+    const sorted = [...planets].sort((a, b) => lowest ? a[key] - b[key] : b[key] - a[key]);
+    const answer = sorted[0];
+
+    return this.createChoice({
+      id: `highest:${key}:${lowest}:${sorted.map(planet => planet.slug).sort().join(',')}`,
+      text: () => t(lowest ? 'quiz.lowest' : 'quiz.highest', { property: this.getPropertyName(key) }),
+      explanation: () => this.listValues(key, sorted)
+    }, () => getDestinationName(answer.slug), sorted.slice(1).map(planet => () => getDestinationName(planet.slug)));
+  }
+
+  /**
+   * "What is the value of X on planet Y?"
+   * @returns {Object} Question
+   */
+  createValueQuestion() {
+    const settings = this.getSettings();
+    const key = pickRandom(settings.properties);
+    const [answer, ...others] = this.pickDistinctPlanets(key, settings.options);
+
+    return this.createChoice({
+      id: `value:${key}:${answer.slug}`,
+      text: () => t('quiz.value', { property: this.getPropertyName(key), planet: getDestinationName(answer.slug) }),
+      explanation: () => t('quiz.valueExplanation', {
+        planet: getDestinationName(answer.slug),
+        property: this.getPropertyName(key),
+        value: formatPlanetValue(key, answer)
+      })
+    }, () => formatPlanetValue(key, answer), others.map(planet => () => formatPlanetValue(key, planet)));
+  }
+
+  /**
+   * "True or false: planet A has a higher X than planet B"
+   * @returns {Object} Question
+   */
+  createComparisonQuestion() {
+    const key = pickRandom(this.getSettings().properties);
+    const [first, second] = this.pickDistinctPlanets(key, 2);
+
+    return this.createTrueFalse({
+      id: `comparison:${key}:${first.slug}:${second.slug}`,
+      text: () => t('quiz.comparison', {
+        first: getDestinationName(first.slug),
+        second: getDestinationName(second.slug),
+        property: this.getPropertyName(key)
+      }),
+      explanation: () => this.listValues(key, [first, second])
+    }, first[key] > second[key]);
+  }
+
+  /**
+   * "Which planet does this fun fact belong to?"
+   * @returns {Object} Question
+   */
+  createFactQuestion() {
+    const [answer, ...others] = shuffle(PLANETS).slice(0, this.getSettings().options);
+    const index = Math.floor(Math.random() * answer.facts.length);
+
+    return this.createChoice({
+      id: `fact:${answer.slug}:${index}`,
+      text: () => t('quiz.fact', { fact: localizeDestination(answer).facts[index] }),
+      explanation: () => t('quiz.factExplanation', { planet: getDestinationName(answer.slug) })
+    }, () => getDestinationName(answer.slug), others.map(planet => () => getDestinationName(planet.slug)));
+  }
+
+  /**
+   * "Which planet does this discovery belong to?"
+   * @returns {Object} Question
+   */
+  createDiscoveryQuestion() {
+    const answer = pickRandom(PLANETS.filter(planet => QUIZ_DISCOVERY_PLANETS.includes(planet.slug)));
+    const others = shuffle(PLANETS.filter(planet => planet !== answer)).slice(0, this.getSettings().options - 1);
+    const discovery = () => localizeDestination(answer).discovery;
+
+    return this.createChoice({
+      id: `discovery:${answer.slug}`,
+      text: () => t('quiz.discovery', { discoverers: discovery().discoverers, method: discovery().method }),
+      explanation: () => t('quiz.discoveryExplanation', { planet: getDestinationName(answer.slug), date: discovery().date })
+    }, () => getDestinationName(answer.slug), others.map(planet => () => getDestinationName(planet.slug)));
+  }
+
+  /**
+   * "What was the destination of mission X?"
+   * @param {Array} missions - Missions
+   * @returns {Object} Question
+   */
+  createDestinationQuestion(missions) {
+    const mission = pickRandom(missions);
+    const others = shuffle(DESTINATIONS.filter(destination => destination.slug !== mission.destination))
+      .slice(0, this.getSettings().options - 1);
+    const name = escapeHtml(mission.name);
+
+    return this.createChoice({
+      id: `destination:${mission.id}`,
+      text: () => t('quiz.destination', { name }),
+      explanation: () => t('quiz.destinationExplanation', {
+        name,
+        year: mission.year,
+        destination: escapeHtml(getDestinationName(mission.destination))
+      })
+    }, () => getDestinationName(mission.destination), others.map(destination => () => getDestinationName(destination.slug)));
+  }
+
+  /**
+   * "In which year was mission X launched?"
+   * @param {Array} missions - Missions
+   * @returns {Object|null} Question, or null without valid wrong years
+   */
+  createYearQuestion(missions) {
+    const mission = pickRandom(missions);
+    const year = parseInt(mission.year);
+    const offsets = shuffle(this.getSettings().yearOffsets.flatMap(offset => [offset, -offset]));
+    const wrongYears = offsets
+      .map(offset => year + offset)
+      .filter(candidate => candidate >= MIN_YEAR && candidate <= MAX_YEAR)
+      .slice(0, this.getSettings().options - 1);
+    if (isNaN(year) || wrongYears.length === 0) return null;
+
+    const name = escapeHtml(mission.name);
+    return this.createChoice({
+      id: `year:${mission.id}`,
+      text: () => t('quiz.year', { name }),
+      explanation: () => mission.launchDate
+        ? t('quiz.launchDateExplanation', { name, date: formatDate(mission.launchDate) })
+        : t('quiz.yearExplanation', { name, year })
+    }, () => String(year), wrongYears.map(wrongYear => () => String(wrongYear)));
+  }
+
+  /**
+   * "True or false: mission X was crewed"
+   * @param {Array} missions - Missions
+   * @returns {Object} Question
+   */
+  createCrewedQuestion(missions) {
+    const mission = pickRandom(missions);
+    const name = escapeHtml(mission.name);
+
+    return this.createTrueFalse({
+      id: `crewed:${mission.id}`,
+      text: () => t('quiz.crewed', { name }),
+      explanation: () => t(mission.crewed ? 'quiz.crewedExplanation' : 'quiz.uncrewedExplanation', { name })
+    }, Boolean(mission.crewed));
+  }
+
+  /**
+   * Record the answer to the current question
+   * @param {number} index - Selected option index
+   */
+  selectAnswer(index) {
+    if (this.state !== 'question' || this.answer !== null) return;
+
+    const question = this.questions[this.current];
+    this.answer = index;
+    if (question.options[index].correct) {
+      this.correct++;
+      this.score += this.getSettings().points;
+    }
+
+    this.render();
+    const nextButton = this.container.querySelector('[data-quiz-action="next"]');
+    if (nextButton) nextButton.focus();
+  }
+
+  /**
+   * Go to the next question or to the results
+   */
+  next() {
+    if (this.current < this.questions.length - 1) {
+      this.current++;
+      this.answer = null;
+      this.render();
+    } else {
+      this.finish();
+    }
+    this.focusHeading();
+  }
+
+  /**
+   * Store the finished quiz in the score history
+   */
+  finish() {
+    const best = this.scores.best[this.difficulty] || 0;
+    this.newRecord = this.score > best;
+    if (this.newRecord) {
+      this.scores.best[this.difficulty] = this.score;
+    }
+
+    this.scores.history.unshift({
+      difficulty: this.difficulty,
+      score: this.score,
+      correct: this.correct,
+      total: this.questions.length,
+      date: new Date().toISOString()
+    });
+    this.scores.history = this.scores.history.slice(0, QUIZ_HISTORY_LIMIT);
+    this.saveScores();
+
+    this.state = 'results';
+    this.render();
+  }
+
+  /**
+   * Move focus to the heading of the current screen
+   */
+  focusHeading() {
+    const heading = this.container.querySelector('.quiz-heading');
+    if (heading) heading.focus();
+  }
+
+  /**
+   * Render the current screen
+   */
+  render() {
+    if (this.state === 'question') {
+      this.container.innerHTML = this.renderQuestion();
+    } else if (this.state === 'results') {
+      this.container.innerHTML = this.renderResults();
+    } else {
+      this.container.innerHTML = this.renderStart();
+    }
+  }
+
+  /**
+   * Render difficulty selection and the score history
+   * @returns {string} Start screen HTML
+   */
+  renderStart() {
+    return `
+      <h3 class="quiz-heading" tabindex="-1">${t('quiz.intro')}</h3>
+      <fieldset class="quiz-difficulty">
+        <legend>${t('quiz.difficulty')}</legend>
+        ${Object.keys(QUIZ_DIFFICULTIES)
+          .map(level => `
+            <label>
+              <input type="radio" name="quiz-difficulty" value="${level}" ${level === this.difficulty ? 'checked' : ''}>
+              ${t(`quiz.levels.${level}`)}
+              <small>${t('quiz.levelInfo', { count: QUIZ_DIFFICULTIES[level].questions, points: QUIZ_DIFFICULTIES[level].points })}</small>
+            </label>
+          `)
+          .join('')}
+      </fieldset>
+      <button type="button" class="btn-primary quiz-start" data-quiz-action="start">${t('quiz.start')}</button>
+      ${this.renderScores()}
+    `;
+  }
+
+  /**
+   * Render the current question with its feedback once answered
+   * @returns {string} Question screen HTML
+   */
+  renderQuestion() {
+    const question = this.questions[this.current];
+    const answered = this.answer !== null;
+    const isCorrect = answered && question.options[this.answer].correct;
+    const isLast = this.current === this.questions.length - 1;
+
+    const options = question.options
+      .map((option, index) => {
+        let stateClass = '';
+        if (answered && option.correct) stateClass = 'quiz-option-correct';
+        else if (answered && index === this.answer) stateClass = 'quiz-option-wrong';
+
+        return `
+          <li>
+            <button type="button" class="quiz-option ${stateClass}" data-index="${index}" ${answered ? 'disabled' : ''}>${option.label()}</button>
+          </li>
+        `;
+      })
+      .join('');
+
+    return `
+      <div class="quiz-progress">
+        <span>${t('quiz.progress', { current: this.current + 1, total: this.questions.length })}</span>
+        <span>${t('quiz.score', { score: this.score })}</span>
+      </div>
+      <h3 class="quiz-heading" tabindex="-1">${question.text()}</h3>
+      <ul class="quiz-options ${question.type === 'boolean' ? 'quiz-options-boolean' : ''}">${options}</ul>
+      <div class="quiz-feedback" aria-live="polite">
+        ${answered ? `
+          <p class="${isCorrect ? 'quiz-correct' : 'quiz-wrong'}">${t(isCorrect ? 'quiz.correct' : 'quiz.wrong')}</p>
+          <p class="quiz-explanation">${question.explanation()}</p>
+          <button type="button" class="btn-history" data-quiz-action="next">${t(isLast ? 'quiz.results' : 'quiz.next')}</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the final score
+   * @returns {string} Results screen HTML
+   */
+  renderResults() {
+    const maxScore = this.questions.length * this.getSettings().points;
+
+    return `
+      <h3 class="quiz-heading" tabindex="-1">${t('quiz.finished')}</h3>
+      <p class="quiz-final-score">${t('quiz.finalScore', { score: this.score, max: maxScore })}</p>
+      <p>${t('quiz.finalCorrect', { correct: this.correct, total: this.questions.length })}</p>
+      ${this.newRecord ? `<p class="quiz-record">${t('quiz.newRecord')}</p>` : ''}
+      <button type="button" class="btn-primary quiz-start" data-quiz-action="restart">${t('quiz.playAgain')}</button>
+      ${this.renderScores()}
+    `;
+  }
+
+  /**
+   * Render best scores per difficulty and the recent history
+   * @returns {string} Scores HTML
+   */
+  renderScores() {
+    const history = this.scores.history
+      .map(entry => `
+        <li>
+          <span>${new Date(entry.date).toLocaleString(getLocale())}</span>
+          <span>${t(`quiz.levels.${entry.difficulty}`)}</span>
+          <span>${t('quiz.historyEntry', { score: entry.score, correct: entry.correct, total: entry.total })}</span>
+        </li>
+      `)
+      .join('');
+
+    return `
+      <div class="quiz-scores">
+        <h4>${t('quiz.bestScores')}</h4>
+        <dl class="quiz-best">
+          ${Object.keys(QUIZ_DIFFICULTIES)
+            .map(level => `
+              <div>
+                <dt>${t(`quiz.levels.${level}`)}</dt>
+                <dd>${this.scores.best[level] || 0}</dd>
+              </div>
+            `)
+            .join('')}
+        </dl>
+        <h4>${t('quiz.history')}</h4>
+        ${history ? `<ol class="quiz-history">${history}</ol>` : `<p class="quiz-empty">${t('quiz.noHistory')}</p>`}
+      </div>
+    `;
+  }
+}
@@ -2,11 +2,281 @@
 const PLANET_CARD_CLASS = 'planet';
 const ACTIVE_CLASS = 'active';
 const MISSIONS_STORAGE_KEY = 'space_missions';
+const MISSIONS_FILTERS_STORAGE_KEY = 'space_missions_filters';
+const MISSIONS_TOOLBAR_ID = 'missions-toolbar';
+const STORAGE_STATUS_ID = 'missions-storage-status';
+const MISSIONS_TRASH_ID = 'missions-trash';
+const TOAST_CONTAINER_ID = 'toast-container';
+const TOAST_DURATION = 6000;
+// Windowed missions list: card height assumed until measured, and px of cards kept beyond the viewport
+const MISSION_CARD_ESTIMATED_HEIGHT = 240;
+const MISSIONS_WINDOW_MARGIN = 800;
+const DEFAULT_MISSION_FILTERS = {
+  search: '',
+  status: '',
+  yearFrom: '',
+  yearTo: '',
+  sortBy: 'createdAt',
+  sortOrder: 'asc'
+};
 const MISSION_FORM_ID = 'mission-form';
 const MISSIONS_LIST_ID = 'missions-list';
 const EDIT_MODAL_ID = 'edit-modal';
 const MIN_YEAR = 1957;
 const MAX_YEAR = 2100;
+const MISSION_STATUSES = ['active', 'completed', 'planned'];
+const MISSION_TYPES = ['flyby', 'orbiter', 'lander', 'rover'];
+// Mission field -> suffix used in form input ids (mission-*) and error ids (*-error)
+const MISSION_FORM_FIELDS = {
+  name: 'name',
+  destination: 'destination',
+  agency: 'agency',
+  type: 'type',
+  crewed: 'crewed',
+  year: 'year',
+  launchDate: 'launch-date',
+  arrivalDate: 'arrival-date',
+  status: 'status',
+  imageUrl: 'image-url',
+  notes: 'notes'
+};
+const PLANETS_GRID_ID = 'planets-grid';
+const EARTH_DIAMETER_KM = 12742;
+const DAYS_PER_YEAR = 365.25;
+const PLANET_ROUTE_PREFIX = '#planet/';
+const PLANET_DETAIL_ID = 'planet-detail';
+const ROUTE_ACTIVE_CLASS = 'planet-route-active';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PLANET_SELECTION_EVENT = 'planets:selectionchange';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// ===== FORMATTING HELPERS =====
+/**
+ * Format a number with the separators of the current language (4.500 / 4,500)
+ * @param {number} value - Number to format
+ * @param {number} decimals - Maximum decimals to keep
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, decimals = 0) {
+  return new Intl.NumberFormat(getLocale(), {
+    maximumFractionDigits: decimals,
+    useGrouping: 'always'
+  }).format(value);
+}
+
+/**
+ * Format a distance from the Sun given in millions of km
+ * @param {number} millionsKm - Distance in millions of km
+ * @returns {string} Formatted distance
+ */
+function formatDistance(millionsKm) {
+  // English uses the short scale: 1 billion = 1000 million
+  if (getLanguage() === 'en' && millionsKm >= 1000) {
+    return t('units.billionKm', { value: formatNumber(millionsKm / 1000, 1) });
+  }
+  return t('units.millionKm', { value: formatNumber(millionsKm, 1) });
+}
+
+/**
+ * Format an orbital period given in Earth days
+ * @param {number} days - Orbital period in days
+ * @returns {string} Formatted period
+ */
+function formatOrbitalPeriod(days) {
+  if (days < DAYS_PER_YEAR * 2) {
+    return t('units.earthDays', { value: formatNumber(days, 1) });
+  }
+  return t('units.earthYears', { value: formatNumber(days / DAYS_PER_YEAR, 1) });
+}
+
+/**
+ * Format a day length given in Earth hours
+ * @param {number} hours - Day length in hours
+ * @returns {string} Formatted day length
+ */
+function formatDayLength(hours) {
+  if (hours > 48) {
+    return t('units.earthDays', { value: formatNumber(hours / 24, 1) });
+  }
+  return t('units.earthHours', { value: formatNumber(hours, 1) });
+}
+
+/**
+ * Format a moon count
+ * @param {number} moons - Number of moons
+ * @returns {string} Formatted moon count
+ */
+function formatMoons(moons) {
+  if (moons === 0) return t('units.moonsNone');
+  return moons === 1 ? t('units.moonsOne') : t('units.moonsOther', { count: moons });
+}
+
+/**
+ * Format an ISO date (YYYY-MM-DD) as a long date in the current language
+ * @param {string} isoDate - Date string
+ * @returns {string} Formatted date
+ */
+function formatDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(getLocale(), {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Normalize text for comparisons (lowercase, no accents)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Escape HTML (including quotes, for attribute values) to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name
+ * @param {Object} attributes - Attributes to set
+ * @returns {SVGElement} Element
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+// ===== DESTINATION HELPERS =====
+/**
+ * Find a mission destination by slug
+ * @param {string} slug - Destination slug
+ * @returns {Object|undefined} Destination
+ */
+function getDestination(slug) {
+  return DESTINATIONS.find(destination => destination.slug === slug);
+}
+
+/**
+ * Get a destination with its text fields in the current language
+ * @param {Object} destination - Destination or planet data
+ * @returns {Object} Localized destination
+ */
+function localizeDestination(destination) {
+  const translations = DESTINATION_TRANSLATIONS[getLanguage()] || {};
+  const translated = translations[destination.slug];
+  return translated ? { ...destination, ...translated } : destination;
+}
+
+/**
+ * Get the display name of a destination slug
+ * @param {string} slug - Destination slug
+ * @returns {string} Destination name (or the raw value if unknown)
+ */
+function getDestinationName(slug) {
+  const destination = getDestination(slug);
+  return destination ? localizeDestination(destination).name : slug;
+}
+
+/**
+ * Match free text ("Marte", "Mars", "marte") to a destination slug
+ * @param {string} text - Destination text
+ * @returns {string|null} Destination slug
+ */
+function resolveDestination(text) {
+  if (!text) return null;
+  const query = normalizeText(text);
+  const match = DESTINATIONS.find(destination =>
+    [destination.slug, destination.name, ...destination.aliases]
+      .map(normalizeText)
+      .includes(query)
+  );
+  return match ? match.slug : null;
+}
+
+/**
+ * Build <option> elements for every destination, grouped by kind
+ * @returns {string} Options HTML
+ */
+function renderDestinationOptions() {
+  const toOptions = destinations => destinations
+    .map(destination => `<option value="${destination.slug}">${localizeDestination(destination).name}</option>`)
+    .join('');
+
+  return `
+    <option value="">${t('destination.select')}</option>
+    <optgroup label="${t('destination.planets')}">${toOptions(PLANETS)}</optgroup>
+    <optgroup label="${t('destination.others')}">${toOptions(OTHER_DESTINATIONS)}</optgroup>
+  `;
+}
+
+// ===== IMAGE HELPERS =====
+/**
+ * Get the bundled copy of a remote image closest to a width
+ * @param {string} src - Original image URL
+ * @param {number} width - Wanted width in px
+ * @returns {string} Local path, or src when the image is not bundled
+ */
+function getImageUrl(src, width) {
+  const local = LOCAL_IMAGES[src];
+  if (!local) return src;
+
+  const best = local.widths.find(size => size >= width) || local.widths[local.widths.length - 1];
+  return `${local.path}-${best}.${local.ext}`;
+}
+
+/**
+ * Build the src, srcset and sizes attributes of an image
+ * @param {string} src - Original image URL
+ * @param {number} width - Displayed width in px
+ * @param {string} sizes - Value of the sizes attribute
+ * @returns {string} Attributes HTML
+ */
+function renderImageSources(src, width, sizes = `${width}px`) {
+  const local = LOCAL_IMAGES[src];
+  if (!local) return `src="${escapeHtml(src)}"`;
+
+  const srcset = local.widths
+    .map(size => `${local.path}-${size}.${local.ext} ${size}w`)
+    .join(', ');
+  return `src="${getImageUrl(src, width)}" srcset="${srcset}" sizes="${sizes}"`;
+}
+
+// ===== DIALOG HELPERS =====
+/**
+ * Keep Tab / Shift+Tab focus cycling inside a dialog
+ * @param {KeyboardEvent} event - Tab keydown event
+ * @param {HTMLElement} container - Dialog element
+ */
+function trapFocus(event, container) {
+  const focusable = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR));
+  if (focusable.length === 0) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
 
 // ===== PLANET CARD CLASS =====
 /**
@@ -15,463 +285,1624 @@ const MAX_YEAR = 2100;
 class PlanetCard {
   constructor(element) {
     this.element = element;
+    // The heading button receives keyboard activation as a click that bubbles up here
     this.element.addEventListener('click', this.toggleActive.bind(this));
   }
 
   /**
-   * Toggle active class on element
+   * Toggle active class on element and announce the new selection
+   * @param {MouseEvent} e - Click event
    */
-  toggleActive() {
-    this.element.classList.toggle(ACTIVE_CLASS);
+  toggleActive(e) {
+    // Following "Ver detalles" navigates; it must not expand the card or change the comparison
+    if (e.target.closest('a')) return;
+
+    setPlanetCardActive(this.element, !this.element.classList.contains(ACTIVE_CLASS));
+    document.dispatchEvent(new CustomEvent(PLANET_SELECTION_EVENT));
   }
 }
 
-// ===== MISSION CLASS =====
 /**
- * Class representing a space mission
+ * Expand or collapse a planet card, keeping its toggle button state in sync
+ * @param {HTMLElement} card - Planet card
+ * @param {boolean} active - Whether the card is expanded
  */
-class Mission {
-  constructor(name, destination, year, status) {
-    this.id = Date.now() + Math.random();
-    this.name = name;
-    this.destination = destination;
-    this.year = parseInt(year);
-    this.status = status;
-    this.createdAt = new Date().toISOString();
-  }
+function setPlanetCardActive(card, active) {
+  card.classList.toggle(ACTIVE_CLASS, active);
+  const toggle = card.querySelector('.planet-toggle');
+  if (toggle) toggle.setAttribute('aria-expanded', String(active));
 }
 
-// ===== MISSION MANAGER CLASS =====
+// ===== PLANET CATALOG CLASS =====
 /**
- * Class to manage CRUD operations for missions
+ * Class to render planet cards and planet detail blocks from PLANETS data
  */
-class MissionManager {
-  constructor() {
-    this.missions = this.loadMissions();
-    this.form = document.getElementById(MISSION_FORM_ID);
-    this.listContainer = document.getElementById(MISSIONS_LIST_ID);
-    this.editingMissionId = null;
-    this.initializeForm();
-    this.createEditModal();
-    this.renderMissions();
+class PlanetCatalog {
+  constructor(planets) {
+    this.planets = planets;
+  }
+
+  /**
+   * Find a planet by slug
+   * @param {string} slug - Planet slug
+   * @returns {Object|undefined} Planet data
+   */
+  getPlanet(slug) {
+    return this.planets.find(planet => planet.slug === slug);
   }
 
   /**
-   * Load missions from localStorage
-   * @returns {Array} Array of missions
+   * Render the planet cards grid
+   * @param {HTMLElement} container - Grid container
    */
-  loadMissions() {
-    const stored = localStorage.getItem(MISSIONS_STORAGE_KEY);
-    return stored ? JSON.parse(stored) : this.getDefaultMissions();
+  renderGrid(container) {
+    container.innerHTML = this.planets
+      .map(localizeDestination)
+      .map(planet => `
+        <div class="${PLANET_CARD_CLASS}" data-planet="${planet.slug}">
+          <img ${renderImageSources(planet.image, 200)} alt="${t('planet.imageAlt', { name: planet.name })}" width="200" height="200">
+          <h3>
+            <button type="button" class="planet-toggle" aria-expanded="false" aria-controls="planet-info-${planet.slug}">${planet.name}</button>
+          </h3>
+          <p class="info" id="planet-info-${planet.slug}">${planet.info}</p>
+          <a href="${PLANET_ROUTE_PREFIX}${planet.slug}" class="planet-link">${t('planet.viewDetails')}</a>
+        </div>
+      `)
+      .join('');
+  }
+
+  /**
+   * Render the highlighted summary (image, key stats and facts)
+   * @param {HTMLElement} container - Summary container
+   * @param {Object} planet - Planet data
+   */
+  renderSummary(container, planet) {
+    const localized = localizeDestination(planet);
+    const stats = [
+      { label: t('planet.distance'), value: formatDistance(planet.distance) },
+      { label: t('planet.diameter'), value: `${formatNumber(planet.diameter)} km` },
+      { label: t('planet.temperature'), value: `${planet.temperature}°C` },
+      { label: t('planet.dayLength'), value: formatDayLength(planet.dayLength) }
+    ];
+
+    container.innerHTML = `
+      <div class="neptune-container">
+        <div class="neptune-image-wrapper">
+          <img ${renderImageSources(planet.image, 600, '(min-width: 768px) 600px, 100vw')} alt="${t('planet.detailImageAlt', { name: localized.name })}" class="neptune-large-image" width="600" height="600">
+        </div>
+        <div class="neptune-content">
+          <h2 class="neptune-title">${localized.name}: ${localized.title}</h2>
+          <div class="neptune-info-grid">
+            <div class="neptune-info-card">
+              <h3>${t('planet.characteristics')}</h3>
+              ${this.renderList(stats)}
+            </div>
+            <div class="neptune-info-card">
+              <h3>${t('planet.facts')}</h3>
+              ${this.renderList(localized.facts)}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
   }
 
   /**
-   * Get default missions
-   * @returns {Array} Array of default missions
+   * Render the full detail cards block
+   * @param {HTMLElement} container - Details container
+   * @param {Object} planet - Planet data
    */
-  getDefaultMissions() {
+  renderDetails(container, planet) {
+    const localized = localizeDestination(planet);
+    container.innerHTML = `
+      <h2 class="section-title">${localized.name}: ${localized.title}</h2>
+      <div class="neptune-details">
+        ${this.getDetailSections(localized)
+          .map(section => `
+            <div class="neptune-detail-card">
+              <h3>${section.title}</h3>
+              ${this.renderList(section.items)}
+            </div>
+          `)
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Build the detail sections for a planet
+   * @param {Object} planet - Localized planet data
+   * @returns {Array} Sections with title and items
+   */
+  getDetailSections(planet) {
+    const diameterRatio = formatNumber(planet.diameter / EARTH_DIAMETER_KM, 1);
+
     return [
-      new Mission('Voyager 1', 'Espacio Interestelar', 1977, 'active'),
-      new Mission('Apollo 11', 'Luna', 1969, 'completed'),
-      new Mission('Mars 2020', 'Marte', 2020, 'active')
+      {
+        title: t('planet.physical'),
+        items: [
+          { label: t('planet.diameter'), value: t('planet.diameterValue', { value: formatNumber(planet.diameter), ratio: diameterRatio }) },
+          { label: t('planet.mass'), value: t('planet.massValue', { value: formatNumber(planet.mass, 3) }) },
+          { label: t('planet.gravity'), value: t('planet.gravityValue', { value: formatNumber(planet.gravity, 2) }) },
+          { label: t('planet.composition'), value: planet.composition }
+        ]
+      },
+      {
+        title: t('planet.orbit'),
+        items: [
+          { label: t('planet.distance'), value: formatDistance(planet.distance) },
+          { label: t('planet.orbitalPeriod'), value: formatOrbitalPeriod(planet.orbitalPeriod) },
+          { label: t('planet.dayLength'), value: formatDayLength(planet.dayLength) },
+          { label: t('planet.orbitalVelocity'), value: `${formatNumber(planet.orbitalVelocity, 2)} km/s` }
+        ]
+      },
+      {
+        title: t('planet.climate'),
+        items: [
+          { label: t('planet.temperature'), value: t('planet.temperatureValue', { value: planet.temperature }) },
+          ...planet.climate
+        ]
+      },
+      {
+        title: t('planet.moonsAndRings'),
+        items: [
+          { label: t('planet.moons'), value: formatMoons(planet.moons) },
+          ...planet.moonsAndRings
+        ]
+      },
+      {
+        title: t('planet.discovery'),
+        items: [
+          { label: t('planet.date'), value: planet.discovery.date },
+          { label: t('planet.discoverers'), value: planet.discovery.discoverers },
+          { label: t('planet.method'), value: planet.discovery.method }
+        ]
+      },
+      {
+        title: t('planet.facts'),
+        items: planet.facts
+      }
     ];
   }
 
   /**
-   * Save missions to localStorage
+   * Render a list of facts or label/value pairs
+   * @param {Array} items - Strings or {label, value} objects
+   * @returns {string} List HTML
    */
-  saveMissions() {
-    localStorage.setItem(MISSIONS_STORAGE_KEY, JSON.stringify(this.missions));
+  renderList(items) {
+    return `
+      <ul>
+        ${items
+          .map(item => typeof item === 'string'
+            ? `<li>${item}</li>`
+            : `<li><strong>${item.label}:</strong> ${item.value}</li>`)
+          .join('')}
+      </ul>
+    `;
+  }
+}
+
+// ===== PLANET ROUTER CLASS =====
+/**
+ * Class to open a planet detail view from #planet/<slug> hashes
+ */
+class PlanetRouter {
+  constructor(catalog, missionStore) {
+    this.catalog = catalog;
+    this.missionStore = missionStore;
+    this.view = document.getElementById(PLANET_DETAIL_ID);
+    if (!this.view) return;
+
+    window.addEventListener('hashchange', () => this.handleRoute());
+    this.handleRoute();
+
+    // Translate an open planet in place, without moving scroll or focus
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      if (!this.view.hidden) this.renderView(this.getRouteSlug());
+    });
+
+    // Re-render an open planet once its missions have loaded
+    if (missionStore) {
+      missionStore.ready.then(() => {
+        if (isPlanetRoute(window.location.hash)) this.handleRoute();
+      });
+      // Keep the missions of an open planet current, in place
+      missionStore.subscribe(event => {
+        if (event.type !== 'load' && !this.view.hidden) this.renderView(this.getRouteSlug());
+      });
+    }
   }
 
   /**
-   * Create edit modal
+   * Render the view matching the current hash
    */
-  createEditModal() {
-    const existingModal = document.getElementById(EDIT_MODAL_ID);
-    if (existingModal) return;
+  handleRoute() {
+    const hash = window.location.hash;
+
+    if (isPlanetRoute(hash)) {
+      this.showPlanet(this.getRouteSlug());
+      return;
+    }
+
+    if (!this.view.hidden) {
+      this.hideView();
+      const target = hash.length > 1 ? document.getElementById(hash.slice(1)) : null;
+      if (target) {
+        scrollToElement(target, 'auto');
+      }
+    }
+  }
+
+  /**
+   * Get the planet slug of the current hash
+   * @returns {string} Planet slug
+   */
+  getRouteSlug() {
+    return decodeURIComponent(window.location.hash.slice(PLANET_ROUTE_PREFIX.length));
+  }
+
+  /**
+   * Show the detail view for a planet
+   * @param {string} slug - Planet slug
+   */
+  showPlanet(slug) {
+    this.renderView(slug);
+
+    this.view.hidden = false;
+    document.body.classList.add(ROUTE_ACTIVE_CLASS);
+    window.scrollTo(0, 0);
+
+    const heading = this.view.querySelector('h2');
+    if (heading) {
+      heading.setAttribute('tabindex', '-1');
+      heading.focus();
+    }
+  }
+
+  /**
+   * Render the detail view content and page title for a planet
+   * @param {string} slug - Planet slug
+   */
+  renderView(slug) {
+    const planet = this.catalog.getPlanet(slug);
+
+    if (planet) {
+      this.renderPlanet(planet);
+      document.title = `${getDestinationName(slug)} - Project S`;
+    } else {
+      this.view.innerHTML = `
+        <div class="planet-detail-nav">
+          <a href="#planets" class="planet-detail-back">${t('planet.back')}</a>
+        </div>
+        <p class="planet-detail-empty">${t('planet.notFound')}</p>
+      `;
+    }
+  }
+
+  /**
+   * Hide the detail view and restore the page
+   */
+  hideView() {
+    this.view.hidden = true;
+    this.view.innerHTML = '';
+    document.body.classList.remove(ROUTE_ACTIVE_CLASS);
+    document.title = t('page.title');
+  }
+
+  /**
+   * Render planet detail content
+   * @param {Object} planet - Planet data
+   */
+  renderPlanet(planet) {
+    const index = this.catalog.planets.indexOf(planet);
+    const previous = this.catalog.planets[index - 1];
+    const next = this.catalog.planets[index + 1];
+
+    this.view.innerHTML = `
+      <div class="planet-detail-nav">
+        <a href="#planets" class="planet-detail-back">${t('planet.back')}</a>
+        <div class="planet-detail-pager">
+          ${previous ? `<a href="${PLANET_ROUTE_PREFIX}${previous.slug}">← ${getDestinationName(previous.slug)}</a>` : ''}
+          ${next ? `<a href="${PLANET_ROUTE_PREFIX}${next.slug}">${getDestinationName(next.slug)} →</a>` : ''}
+        </div>
+      </div>
+      <div class="planet-detail-summary"></div>
+      <div class="neptune-info-section planet-detail-info"></div>
+      <div class="planet-detail-missions">
+        <h3>${t('planet.missionsTo', { name: getDestinationName(planet.slug) })}</h3>
+        ${this.renderMissions(planet)}
+      </div>
+    `;
+
+    this.catalog.renderSummary(this.view.querySelector('.planet-detail-summary'), planet);
+    this.catalog.renderDetails(this.view.querySelector('.planet-detail-info'), planet);
+  }
+
+  /**
+   * Render the missions whose destination is the planet
+   * @param {Object} planet - Planet data
+   * @returns {string} Missions HTML
+   */
+  renderMissions(planet) {
+    const missions = this.getPlanetMissions(planet);
+
+    if (missions.length === 0) {
+      return `<p class="planet-detail-empty">${t('planet.noMissions')}</p>`;
+    }
+
+    return `
+      <div class="missions-list">
+        ${missions
+          .map(mission => `
+            <div class="mission-card animate-in">
+              <h4>${escapeHtml(mission.name)}</h4>
+              ${mission.agency ? `<p><strong>${t('mission.agency')}:</strong> ${escapeHtml(mission.agency)}</p>` : ''}
+              <p><strong>${t('mission.type')}:</strong> ${getMissionTypeText(mission)}</p>
+              <p><strong>${t('mission.year')}:</strong> ${mission.year}</p>
+              <span class="mission-status ${getStatusClass(mission.status)}">
+                ${getStatusText(mission.status)}
+              </span>
+            </div>
+          `)
+          .join('')}
+      </div>
+    `;
+  }
 
+  /**
+   * Get missions targeting a planet
+   * @param {Object} planet - Planet data
+   * @returns {Array} Matching missions
+   */
+  getPlanetMissions(planet) {
+    if (!this.missionStore) return [];
+
+    return this.missionStore.list().filter(mission => mission.destination === planet.slug);
+  }
+}
+
+// ===== TOAST NOTIFICATIONS =====
+/**
+ * Show a temporary notification with an optional action button
+ * @param {string} message - Message to show
+ * @param {Object} action - Optional {label, onClick} action
+ */
+function showToast(message, action = null) {
+  let container = document.getElementById(TOAST_CONTAINER_ID);
+  if (!container) {
+    container = document.createElement('div');
+    container.id = TOAST_CONTAINER_ID;
+    container.className = 'toast-container';
+    container.setAttribute('aria-live', 'polite');
+    document.body.appendChild(container);
+  }
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = message;
+
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      action.onClick();
+      toast.remove();
+    });
+    toast.appendChild(button);
+  }
+
+  container.appendChild(toast);
+  setTimeout(() => toast.remove(), TOAST_DURATION);
+}
+
+// ===== MISSION FORMATTING =====
+/**
+ * Get status class for styling
+ * @param {string} status - Mission status
+ * @returns {string} CSS class
+ */
+function getStatusClass(status) {
+  const STATUS_CLASSES = {
+    'active': 'status-active',
+    'completed': 'status-completed',
+    'planned': 'status-planned'
+  };
+  return STATUS_CLASSES[status] || 'status-planned';
+}
+
+/**
+ * Get status text in the current language
+ * @param {string} status - Mission status
+ * @returns {string} Status text
+ */
+function getStatusText(status) {
+  return MISSION_STATUSES.includes(status) ? t(`status.${status}`) : status;
+}
+
+/**
+ * Get the mission type and crew description
+ * @param {Object} mission - Mission
+ * @returns {string} Type text
+ */
+function getMissionTypeText(mission) {
+  const crew = mission.crewed ? t('missionType.crewed') : t('missionType.uncrewed');
+  return mission.type ? `${t(`missionType.${mission.type}`)} · ${crew}` : crew;
+}
+
+/**
+ * Build <option> elements for mission types
+ * @returns {string} Options HTML
+ */
+function renderTypeOptions() {
+  return `
+    <option value="">${t('missionType.unspecified')}</option>
+    ${MISSION_TYPES
+      .map(type => `<option value="${type}">${t(`missionType.${type}`)}</option>`)
+      .join('')}
+  `;
+}
+
+/**
+ * Render a destination, linking to its planet page when it is a planet
+ * @param {string} slug - Destination slug
+ * @returns {string} Destination HTML
+ */
+function renderDestinationLink(slug) {
+  const name = escapeHtml(getDestinationName(slug));
+  const isPlanet = PLANETS.some(planet => planet.slug === slug);
+  return isPlanet ? `<a href="${PLANET_ROUTE_PREFIX}${slug}">${name}</a>` : name;
+}
+
+// ===== MISSION FORM CLASS =====
+/**
+ * Class to read, fill and validate one mission form: the create form
+ * (no prefix) or the edit modal ('edit-' prefix on every id)
+ */
+class MissionForm {
+  constructor(store, prefix = '') {
+    this.store = store;
+    this.prefix = prefix;
+    // Mission being edited, left out of the duplicate check
+    this.missionId = null;
+    // Fields that show their errors live
+    this.touchedFields = new Set();
+
+    this.destinationSelect = this.getInput('destination');
+    this.typeSelect = this.getInput('type');
+    this.destinationSelect.innerHTML = renderDestinationOptions();
+    this.typeSelect.innerHTML = renderTypeOptions();
+    this.setupValidation();
+    this.bindLaunchDateToYear();
+
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => this.handleLanguageChange());
+  }
+
+  /**
+   * Get the input of a field
+   * @param {string} suffix - Field ID suffix
+   * @returns {HTMLElement} Input
+   */
+  getInput(suffix) {
+    return document.getElementById(`${this.prefix}mission-${suffix}`);
+  }
+
+  /**
+   * Rebuild the generated options in the new language
+   */
+  handleLanguageChange() {
+    // Keep the current selections while the option labels change
+    const destination = this.destinationSelect.value;
+    const type = this.typeSelect.value;
+    this.destinationSelect.innerHTML = renderDestinationOptions();
+    this.typeSelect.innerHTML = renderTypeOptions();
+    this.destinationSelect.value = destination;
+    this.typeSelect.value = type;
+
+    // Messages already on screen switch language too
+    this.refreshValidation();
+  }
+
+  /**
+   * Fill the launch year when a launch date is picked
+   */
+  bindLaunchDateToYear() {
+    const dateInput = this.getInput('launch-date');
+    const yearInput = this.getInput('year');
+    dateInput.addEventListener('change', () => {
+      if (dateInput.value) {
+        yearInput.value = dateInput.value.slice(0, 4);
+      }
+    });
+  }
+
+  /**
+   * Read mission data from the form
+   * @returns {Object} Form data
+   */
+  getData() {
+    const formData = {};
+    Object.entries(MISSION_FORM_FIELDS).forEach(([field, suffix]) => {
+      const input = this.getInput(suffix);
+      formData[field] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return formData;
+  }
+
+  /**
+   * Fill the form with mission data
+   * @param {Object} mission - Mission
+   */
+  fill(mission) {
+    Object.entries(MISSION_FORM_FIELDS).forEach(([field, suffix]) => {
+      const input = this.getInput(suffix);
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(mission[field]);
+      } else {
+        input.value = mission[field] === undefined ? '' : mission[field];
+      }
+    });
+  }
+
+  /**
+   * Clear every error message of the form
+   */
+  clearErrors() {
+    Object.values(MISSION_FORM_FIELDS).forEach(suffix => this.setFieldError(suffix, ''));
+    this.touchedFields = new Set();
+
+    const warning = document.getElementById(`${this.prefix}duplicate-warning`);
+    if (warning) warning.hidden = true;
+  }
+
+  /**
+   * Describe each field by its error message and announce errors as they appear
+   */
+  linkErrorMessages() {
+    Object.values(MISSION_FORM_FIELDS).forEach(suffix => {
+      const input = this.getInput(suffix);
+      const errorElement = document.getElementById(`${this.prefix}${suffix}-error`);
+      if (!input || !errorElement) return;
+
+      errorElement.setAttribute('aria-live', 'polite');
+      input.setAttribute('aria-describedby', errorElement.id);
+    });
+  }
+
+  /**
+   * Show or clear the error of a single field
+   * @param {string} suffix - Field ID suffix
+   * @param {string} message - Error message, empty to clear
+   */
+  setFieldError(suffix, message) {
+    const input = this.getInput(suffix);
+    const errorElement = document.getElementById(`${this.prefix}${suffix}-error`);
+
+    if (errorElement) errorElement.textContent = message;
+    if (input) {
+      if (message) {
+        input.setAttribute('aria-invalid', 'true');
+      } else {
+        input.removeAttribute('aria-invalid');
+      }
+    }
+  }
+
+  /**
+   * Set up limits, error messages and live validation
+   */
+  setupValidation() {
+    this.linkErrorMessages();
+
+    Object.entries(MISSION_FORM_FIELDS).forEach(([field, suffix]) => {
+      const input = this.getInput(suffix);
+      if (!input) return;
+
+      const maxLength = getMissionFieldMaxLength(field);
+      if (maxLength) input.setAttribute('maxlength', maxLength);
+
+      // Errors show up once a field was left, then follow every keystroke
+      input.addEventListener('blur', () => {
+        this.touchedFields.add(field);
+        this.refreshValidation();
+      });
+      ['input', 'change'].forEach(type => {
+        input.addEventListener(type, () => this.refreshValidation());
+      });
+    });
+
+    const nameError = document.getElementById(`${this.prefix}name-error`);
+    if (nameError) {
+      const warning = document.createElement('p');
+      warning.id = `${this.prefix}duplicate-warning`;
+      warning.className = 'form-warning';
+      warning.setAttribute('role', 'status');
+      warning.hidden = true;
+      nameError.after(warning);
+    }
+  }
+
+  /**
+   * Show the current errors of the touched fields and the duplicate warning
+   * @returns {Object} Errors of every field
+   */
+  refreshValidation() {
+    const formData = this.getData();
+    const errors = this.getErrors(formData);
+
+    Object.entries(MISSION_FORM_FIELDS).forEach(([field, suffix]) => {
+      if (this.touchedFields.has(field)) {
+        this.setFieldError(suffix, errors[field] || '');
+      }
+    });
+
+    this.updateDuplicateWarning(formData);
+    return errors;
+  }
+
+  /**
+   * Validate form data; an edited mission only gets the date rules relative
+   * to today for the fields that were changed
+   * @param {Object} formData - Form data
+   * @returns {Object} Errors of every field
+   */
+  getErrors(formData) {
+    const previous = this.missionId === null ? null : this.store.get(this.missionId);
+    return validateMission(formData, { previous });
+  }
+
+  /**
+   * Warn (without blocking) when another mission has the same name, destination and year
+   * @param {Object} formData - Form data
+   */
+  updateDuplicateWarning(formData = this.getData()) {
+    const warning = document.getElementById(`${this.prefix}duplicate-warning`);
+    if (!warning) return;
+
+    const duplicate = findDuplicateMission(formData, this.store.list(), this.missionId);
+    warning.textContent = duplicate ? t('validation.duplicate', { name: duplicate.name }) : '';
+    warning.hidden = !duplicate;
+  }
+
+  /**
+   * Validate the entire form
+   * @param {Object} formData - Form data
+   * @returns {boolean} Is valid
+   */
+  validate(formData) {
+    const errors = this.getErrors(formData);
+
+    Object.entries(MISSION_FORM_FIELDS).forEach(([field, suffix]) => {
+      this.setFieldError(suffix, errors[field] || '');
+    });
+    // From now on every field validates live
+    this.touchedFields = new Set(Object.keys(MISSION_FORM_FIELDS));
+    this.updateDuplicateWarning(formData);
+
+    // Move keyboard users straight to the first field that needs fixing
+    const firstInvalid = Object.entries(MISSION_FORM_FIELDS).find(([field]) => errors[field]);
+    if (firstInvalid) {
+      this.getInput(firstInvalid[1]).focus();
+    }
+
+    return !firstInvalid;
+  }
+}
+
+// ===== MISSION CREATE FORM CLASS =====
+/**
+ * Class for the form that creates missions (CREATE)
+ */
+class MissionCreateForm {
+  constructor(store) {
+    this.store = store;
+    this.element = document.getElementById(MISSION_FORM_ID);
+    if (!this.element) return;
+
+    this.form = new MissionForm(store, '');
+    this.submitButton = this.element.querySelector('[type="submit"]');
+    this.element.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.handleSubmit();
+      return false;
+    });
+
+    // A mission created or deleted elsewhere can start or stop being a duplicate
+    store.subscribe(() => {
+      this.form.updateDuplicateWarning();
+      this.updateAvailability();
+    });
+    this.updateAvailability();
+  }
+
+  /**
+   * Disable adding missions while the store is loading or read-only
+   */
+  updateAvailability() {
+    this.submitButton.disabled = !this.store.isWritable();
+  }
+
+  /**
+   * Create a mission from the form
+   */
+  handleSubmit() {
+    const formData = this.form.getData();
+
+    // A refused change keeps what was typed
+    if (this.form.validate(formData) && this.store.create(formData)) {
+      this.element.reset();
+      this.form.clearErrors();
+    }
+  }
+
+  /**
+   * Start a new mission, optionally with its destination already chosen
+   * @param {string} destination - Destination slug
+   */
+  start(destination = '') {
+    this.form.destinationSelect.value = destination;
+    this.form.destinationSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    this.form.getInput('name').focus({ preventScroll: true });
+  }
+}
+
+// ===== MISSION EDIT MODAL CLASS =====
+/**
+ * Class for the dialog that edits a mission (UPDATE)
+ */
+class MissionEditModal {
+  constructor(store) {
+    this.store = store;
+    this.missionId = null;
+    // Mission as it was when the modal opened, and what happened to it since
+    this.snapshot = null;
+    this.conflict = null;
+    this.lastFocusedElement = null;
+    this.createModal();
+    this.form = new MissionForm(store, 'edit-');
+
+    // Another tab may change or delete the mission while it is being edited
+    store.subscribe(event => {
+      if (event.type === 'sync') this.checkConflict();
+    });
+  }
+
+  /**
+   * Create the edit dialog
+   */
+  createModal() {
     const modal = document.createElement('div');
     modal.id = EDIT_MODAL_ID;
     modal.className = 'modal';
+    // data-i18n keeps the labels translated when the language changes
     modal.innerHTML = `
-      <div class="modal-content">
-        <span class="modal-close">&times;</span>
-        <h3>Editar Misión</h3>
+      <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="edit-modal-title">
+        <button type="button" class="modal-close" aria-label="${t('form.close')}" data-i18n-attr="aria-label:form.close">&times;</button>
+        <h3 id="edit-modal-title" data-i18n="form.editTitle">${t('form.editTitle')}</h3>
+        <div class="modal-conflict" id="edit-conflict" role="alert" hidden>
+          <p class="modal-conflict-text"></p>
+          <button type="button" class="btn-edit btn-conflict-reload" data-i18n="sync.reload">${t('sync.reload')}</button>
+        </div>
         <form id="edit-mission-form" class="mission-form" onsubmit="return false;">
           <div class="form-group">
-            <label for="edit-mission-name">Nombre de la Misión:</label>
+            <label for="edit-mission-name" data-i18n="form.name">${t('form.name')}</label>
             <input type="text" id="edit-mission-name" name="missionName" required>
             <span class="error-message" id="edit-name-error"></span>
           </div>
           
           <div class="form-group">
-            <label for="edit-mission-destination">Destino:</label>
-            <input type="text" id="edit-mission-destination" name="missionDestination" required>
+            <label for="edit-mission-destination" data-i18n="form.destination">${t('form.destination')}</label>
+            <select id="edit-mission-destination" name="missionDestination" required>
+              ${renderDestinationOptions()}
+            </select>
             <span class="error-message" id="edit-destination-error"></span>
           </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label for="edit-mission-agency" data-i18n="form.agency">${t('form.agency')}</label>
+              <input type="text" id="edit-mission-agency" name="missionAgency">
+              <span class="error-message" id="edit-agency-error"></span>
+            </div>
+
+            <div class="form-group">
+              <label for="edit-mission-type" data-i18n="form.type">${t('form.type')}</label>
+              <select id="edit-mission-type" name="missionType">
+                ${renderTypeOptions()}
+              </select>
+              <span class="error-message" id="edit-type-error"></span>
+            </div>
+          </div>
+
+          <div class="form-group form-check">
+            <input type="checkbox" id="edit-mission-crewed" name="missionCrewed">
+            <label for="edit-mission-crewed" data-i18n="form.crewed">${t('form.crewed')}</label>
+          </div>
           
           <div class="form-group">
-            <label for="edit-mission-year">Año de Lanzamiento:</label>
+            <label for="edit-mission-year" data-i18n="form.year">${t('form.year')}</label>
             <input type="number" id="edit-mission-year" name="missionYear" min="1957" max="2100" required>
             <span class="error-message" id="edit-year-error"></span>
           </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label for="edit-mission-launch-date" data-i18n="form.launchDate">${t('form.launchDate')}</label>
+              <input type="date" id="edit-mission-launch-date" name="missionLaunchDate">
+              <span class="error-message" id="edit-launch-date-error"></span>
+            </div>
+
+            <div class="form-group">
+              <label for="edit-mission-arrival-date" data-i18n="form.arrivalDate">${t('form.arrivalDate')}</label>
+              <input type="date" id="edit-mission-arrival-date" name="missionArrivalDate">
+              <span class="error-message" id="edit-arrival-date-error"></span>
+            </div>
+          </div>
           
           <div class="form-group">
-            <label for="edit-mission-status">Estado:</label>
+            <label for="edit-mission-status" data-i18n="form.status">${t('form.status')}</label>
             <select id="edit-mission-status" name="missionStatus" required>
-              <option value="">Selecciona un estado</option>
-              <option value="active">Activa</option>
-              <option value="completed">Completada</option>
-              <option value="planned">Planificada</option>
+              <option value="" data-i18n="status.select">${t('status.select')}</option>
+              <option value="active" data-i18n="status.active">${t('status.active')}</option>
+              <option value="completed" data-i18n="status.completed">${t('status.completed')}</option>
+              <option value="planned" data-i18n="status.planned">${t('status.planned')}</option>
             </select>
             <span class="error-message" id="edit-status-error"></span>
           </div>
+
+          <div class="form-group">
+            <label for="edit-mission-image-url" data-i18n="form.imageUrl">${t('form.imageUrl')}</label>
+            <input type="url" id="edit-mission-image-url" name="missionImageUrl" placeholder="https://">
+            <span class="error-message" id="edit-image-url-error"></span>
+          </div>
+
+          <div class="form-group">
+            <label for="edit-mission-notes" data-i18n="form.notes">${t('form.notes')}</label>
+            <textarea id="edit-mission-notes" name="missionNotes" rows="3"></textarea>
+            <span class="error-message" id="edit-notes-error"></span>
+          </div>
           
-          <button type="submit" class="btn-primary">Guardar Cambios</button>
+          <button type="submit" class="btn-primary" data-i18n="form.save">${t('form.save')}</button>
         </form>
       </div>
     `;
     document.body.appendChild(modal);
+    this.modal = modal;
 
     // Close modal handlers
     const closeBtn = modal.querySelector('.modal-close');
-    closeBtn.addEventListener('click', () => this.closeEditModal());
-    
+    closeBtn.addEventListener('click', () => this.close());
+
     modal.addEventListener('click', (e) => {
       if (e.target === modal) {
-        this.closeEditModal();
+        this.close();
       }
     });
 
+    modal.addEventListener('keydown', (e) => this.handleKeydown(e));
+    modal.querySelector('.btn-conflict-reload').addEventListener('click', () => this.reload());
+
     // Edit form submit
     const editForm = document.getElementById('edit-mission-form');
     editForm.addEventListener('submit', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      this.handleEditSubmit(e);
+      this.handleSubmit();
       return false;
     });
   }
 
   /**
-   * Open edit modal
-   * @param {number} id - Mission ID
+   * Open the modal for a mission
+   * @param {string} id - Mission ID
    */
-  openEditModal(id) {
-    const mission = this.missions.find(m => m.id === id);
+  open(id) {
+    const mission = this.store.get(id);
     if (!mission) return;
 
-    this.editingMissionId = id;
-    
-    document.getElementById('edit-mission-name').value = mission.name;
-    document.getElementById('edit-mission-destination').value = mission.destination;
-    document.getElementById('edit-mission-year').value = mission.year;
-    document.getElementById('edit-mission-status').value = mission.status;
+    this.missionId = id;
+    this.form.missionId = id;
+    this.snapshot = JSON.parse(JSON.stringify(mission));
+    this.lastFocusedElement = document.activeElement;
+    this.form.fill(mission);
+    this.form.clearErrors();
+    this.setConflict(null);
 
-    // Clear errors
-    ['edit-name-error', 'edit-destination-error', 'edit-year-error', 'edit-status-error'].forEach(id => {
-      document.getElementById(id).textContent = '';
-    });
+    this.modal.style.display = 'block';
+    document.getElementById('edit-mission-name').focus();
+  }
+
+  /**
+   * Close the modal and return focus to the control that opened it
+   */
+  close() {
+    this.modal.style.display = 'none';
+
+    // The list may have been re-rendered meanwhile, so fall back to the new edit button
+    let returnTarget = this.lastFocusedElement;
+    if (!returnTarget || !returnTarget.isConnected) {
+      returnTarget = document.querySelector(`#${MISSIONS_LIST_ID} .btn-edit[data-id="${this.missionId}"]`);
+    }
+    if (returnTarget) returnTarget.focus();
 
-    const modal = document.getElementById(EDIT_MODAL_ID);
-    modal.style.display = 'block';
+    this.missionId = null;
+    this.form.missionId = null;
+    this.snapshot = null;
+    this.setConflict(null);
+    this.lastFocusedElement = null;
   }
 
   /**
-   * Close edit modal
+   * Close the modal on Escape and keep Tab focus inside it
+   * @param {KeyboardEvent} event - Keydown event
    */
-  closeEditModal() {
-    const modal = document.getElementById(EDIT_MODAL_ID);
-    modal.style.display = 'none';
-    this.editingMissionId = null;
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+
+    if (event.key === 'Tab') {
+      trapFocus(event, this.modal);
+    }
   }
 
   /**
-   * Initialize form event listeners
+   * Save the edited mission
    */
-  initializeForm() {
-    if (this.form) {
-      this.form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        this.handleSubmit(e);
-        return false;
-      });
+  handleSubmit() {
+    const formData = this.form.getData();
+
+    if (this.form.validate(formData)) {
+      // Another tab deleted the mission meanwhile: keep the edits as a new one
+      const saved = this.conflict === 'deleted'
+        ? this.store.create(formData)
+        : this.store.update(this.missionId, formData);
+      if (saved) this.close();
     }
   }
 
   /**
-   * Validate form field
-   * @param {string} value - Field value
-   * @param {string} errorElementId - Error element ID
-   * @param {string} errorMessage - Error message
-   * @returns {boolean} Is valid
+   * Warn when another tab changed or deleted the mission being edited
    */
-  validateField(value, errorElementId, errorMessage) {
-    const errorElement = document.getElementById(errorElementId);
-    if (!value || value.trim() === '') {
-      errorElement.textContent = errorMessage;
-      return false;
+  checkConflict() {
+    if (this.missionId === null) return;
+
+    const mission = this.store.get(this.missionId);
+    if (!mission) {
+      this.setConflict('deleted');
+    } else if (JSON.stringify(mission) !== JSON.stringify(this.snapshot)) {
+      this.setConflict('modified');
     }
-    errorElement.textContent = '';
-    return true;
   }
 
   /**
-   * Validate year field
-   * @param {number} year - Year value
-   * @param {string} errorElementId - Error element ID
-   * @returns {boolean} Is valid
+   * Show or hide the conflict banner
+   * @param {string|null} conflict - 'modified', 'deleted' or null
    */
-  validateYear(year, errorElementId) {
-    const errorElement = document.getElementById(errorElementId);
-    
-    if (!year || isNaN(year)) {
-      errorElement.textContent = 'El año es requerido';
-      return false;
+  setConflict(conflict) {
+    this.conflict = conflict;
+    const banner = document.getElementById('edit-conflict');
+    const text = banner.querySelector('.modal-conflict-text');
+    const reloadButton = banner.querySelector('.btn-conflict-reload');
+    const submitButton = document.querySelector('#edit-mission-form button[type="submit"]');
+    // Switching data-i18n keeps the texts right after a language change
+    const submitKey = conflict === 'deleted' ? 'sync.saveAsNew' : 'form.save';
+
+    banner.hidden = !conflict;
+    if (conflict) {
+      text.setAttribute('data-i18n', `sync.${conflict}`);
+      text.textContent = t(`sync.${conflict}`);
     }
-    
-    if (year < MIN_YEAR || year > MAX_YEAR) {
-      errorElement.textContent = `El año debe estar entre ${MIN_YEAR} y ${MAX_YEAR}`;
-      return false;
+    reloadButton.hidden = conflict !== 'modified';
+    submitButton.setAttribute('data-i18n', submitKey);
+    submitButton.textContent = t(submitKey);
+  }
+
+  /**
+   * Replace the form with the version saved by the other tab
+   */
+  reload() {
+    const mission = this.store.get(this.missionId);
+    if (!mission) return;
+
+    this.snapshot = JSON.parse(JSON.stringify(mission));
+    this.form.fill(mission);
+    this.form.clearErrors();
+    this.setConflict(null);
+    document.getElementById('edit-mission-name').focus();
+  }
+}
+
+// ===== MISSION LIST CLASS =====
+/**
+ * Class for the missions list with its search/filter toolbar,
+ * undo/redo controls and trash view (READ and DELETE).
+ * Only the cards in or near the viewport are in the DOM, with spacers
+ * standing in for the rest; cards are kept by mission id and only redrawn
+ * when their mission changes.
+ */
+class MissionList {
+  constructor(store, editModal, scrollAnimator = null) {
+    this.store = store;
+    this.editModal = editModal;
+    this.scrollAnimator = scrollAnimator;
+    this.filterListeners = [];
+    this.filters = this.loadFilters();
+    // Filtered and sorted missions; single changes are placed without sorting again
+    this.visibleMissions = [];
+    // Rendered cards by mission id: {element, signature}
+    this.cards = new Map();
+    // Measured card heights by mission id, and where each visible card starts
+    this.heights = new Map();
+    this.offsets = [0];
+    // Rendered range of visibleMissions: [windowStart, windowEnd)
+    this.windowStart = 0;
+    this.windowEnd = 0;
+    this.container = document.getElementById(MISSIONS_LIST_ID);
+    this.toolbar = document.getElementById(MISSIONS_TOOLBAR_ID);
+    this.storageStatus = document.getElementById(STORAGE_STATUS_ID);
+    this.trashContainer = document.getElementById(MISSIONS_TRASH_ID);
+    if (!this.container) return;
+
+    this.initializeToolbar();
+    this.initializeHistory();
+    this.initializeWindow();
+    this.render();
+
+    // One listener for every card, whatever is rendered later
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+
+      if (button.classList.contains('btn-attach-image')) {
+        // Handled by MissionImagePicker
+        return;
+      } else if (button.classList.contains('btn-edit')) {
+        this.editModal.open(button.dataset.id);
+      } else if (button.classList.contains('btn-delete')) {
+        this.store.remove(button.dataset.id);
+      }
+    });
+
+    store.subscribe(event => this.handleStoreChange(event));
+    document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+      this.render();
+      this.renderTrash();
+    });
+  }
+
+  /**
+   * Redraw after a store change
+   * @param {Object} event - Change event
+   */
+  handleStoreChange(event) {
+    if (event.type === 'error') {
+      this.showStorageError(event.message);
+      return;
+    }
+
+    if (event.type === 'remove') {
+      // Undo this removal, even if other changes were made after it
+      showToast(t('missions.deleted', { name: event.mission.name }), {
+        label: t('missions.undo'),
+        onClick: () => this.store.undoRemove(event.mission.id)
+      });
+    } else if (event.type === 'sync') {
+      event.conflicts.forEach(mission => showToast(t('sync.conflict', { name: mission.name })));
     }
-    
-    errorElement.textContent = '';
-    return true;
+
+    // Changes to one mission only move that card; the rest filter and sort everything again
+    if (['create', 'update', 'restore'].includes(event.type)) {
+      this.placeMission(event.mission);
+      this.draw();
+    } else if (event.type === 'remove') {
+      this.removeMission(event.mission.id);
+      this.draw();
+    } else if (!['purge', 'emptyTrash'].includes(event.type)) {
+      this.render();
+    }
+    this.renderTrash();
   }
 
   /**
-   * Validate entire form
-   * @param {Object} formData - Form data
-   * @param {string} prefix - Prefix for error IDs
-   * @returns {boolean} Is valid
+   * Register a callback run when the search, filters or sorting change
+   * @param {Function} listener - Receives the filters
    */
-  validateForm(formData, prefix = '') {
-    const NAME_VALID = this.validateField(
-      formData.name, 
-      `${prefix}name-error`, 
-      'El nombre es requerido'
-    );
-    
-    const DESTINATION_VALID = this.validateField(
-      formData.destination, 
-      `${prefix}destination-error`, 
-      'El destino es requerido'
-    );
-    
-    const YEAR_VALID = this.validateYear(formData.year, `${prefix}year-error`);
-    
-    const STATUS_VALID = this.validateField(
-      formData.status, 
-      `${prefix}status-error`, 
-      'El estado es requerido'
-    );
-    
-    return NAME_VALID && DESTINATION_VALID && YEAR_VALID && STATUS_VALID;
-  }
-
-  /**
-   * Handle form submission (CREATE)
-   * @param {Event} event - Submit event
-   */
-  handleSubmit(event) {
-    if (event) {
-      event.preventDefault();
-      event.stopPropagation();
-    }
-    
-    const formData = {
-      name: document.getElementById('mission-name').value,
-      destination: document.getElementById('mission-destination').value,
-      year: document.getElementById('mission-year').value,
-      status: document.getElementById('mission-status').value
-    };
-    
-    console.log('Form submitted with data:', formData); // Debug
-    
-    if (this.validateForm(formData)) {
-      this.createMission(
-        formData.name,
-        formData.destination,
-        formData.year,
-        formData.status
-      );
-      this.form.reset();
-      
-      // Show success message
-      console.log('Mission created successfully!');
-    } else {
-      console.log('Form validation failed');
+  onFilterChange(listener) {
+    this.filterListeners.push(listener);
+  }
+
+  /**
+   * Save, apply and announce new filters
+   */
+  handleFilterChange() {
+    this.saveFilters();
+    this.render();
+    this.filterListeners.forEach(listener => listener(this.filters));
+  }
+
+  /**
+   * Show a storage problem above the missions list
+   * @param {string} message - Message to show
+   */
+  showStorageError(message) {
+    if (!this.storageStatus) return;
+    this.storageStatus.textContent = message;
+    this.storageStatus.hidden = false;
+  }
+
+  /**
+   * Initialize undo/redo buttons, keyboard shortcuts and the trash view
+   */
+  initializeHistory() {
+    this.undoButton = document.querySelector('.btn-undo');
+    this.redoButton = document.querySelector('.btn-redo');
+    this.trashButton = document.querySelector('.btn-trash');
+
+    if (this.undoButton) this.undoButton.addEventListener('click', () => this.store.undo());
+    if (this.redoButton) this.redoButton.addEventListener('click', () => this.store.redo());
+
+    if (this.trashButton && this.trashContainer) {
+      this.trashButton.addEventListener('click', () => {
+        this.trashContainer.hidden = !this.trashContainer.hidden;
+        this.trashButton.setAttribute('aria-expanded', String(!this.trashContainer.hidden));
+        this.renderTrash();
+      });
+
+      this.trashContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const id = button.dataset.id;
+
+        if (button.classList.contains('btn-restore')) {
+          this.store.restore(id);
+        } else if (button.classList.contains('btn-purge')) {
+          this.store.purge(id);
+        } else if (button.classList.contains('btn-empty-trash')) {
+          this.store.emptyTrash();
+        }
+      });
     }
-    
-    return false;
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      // Keep the native undo inside text fields
+      if (e.target.closest('input, textarea, select')) return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.store.redo();
+      } else {
+        this.store.undo();
+      }
+    });
+
+    this.updateHistoryControls();
   }
 
   /**
-   * Handle edit form submission (UPDATE)
-   * @param {Event} event - Submit event
+   * Enable/disable undo and redo buttons and update the trash counter
    */
-  handleEditSubmit(event) {
-    if (event) {
-      event.preventDefault();
-      event.stopPropagation();
-    }
-    
-    const formData = {
-      name: document.getElementById('edit-mission-name').value,
-      destination: document.getElementById('edit-mission-destination').value,
-      year: document.getElementById('edit-mission-year').value,
-      status: document.getElementById('edit-mission-status').value
-    };
-    
-    if (this.validateForm(formData, 'edit-')) {
-      this.updateMission(
-        this.editingMissionId,
-        formData.name,
-        formData.destination,
-        formData.year,
-        formData.status
-      );
-      this.closeEditModal();
+  updateHistoryControls() {
+    const history = this.store.getHistory();
+
+    if (this.undoButton) {
+      this.undoButton.disabled = !history.undo;
+      this.undoButton.title = history.undo ? t('history.undoTitle', { label: history.undo }) : t('history.nothingToUndo');
+    }
+    if (this.redoButton) {
+      this.redoButton.disabled = !history.redo;
+      this.redoButton.title = history.redo ? t('history.redoTitle', { label: history.redo }) : t('history.nothingToRedo');
+    }
+    if (this.trashButton) {
+      this.trashButton.textContent = t('history.trash', { count: this.store.listTrash().length });
+    }
+  }
+
+  /**
+   * Load list filters from localStorage
+   * @returns {Object} Filters merged with defaults
+   */
+  loadFilters() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MISSIONS_FILTERS_STORAGE_KEY));
+      return { ...DEFAULT_MISSION_FILTERS, ...stored };
+    } catch (error) {
+      return { ...DEFAULT_MISSION_FILTERS };
     }
-    
-    return false;
   }
 
   /**
-   * Create new mission (CREATE)
-   * @param {string} name - Mission name
-   * @param {string} destination - Mission destination
-   * @param {number} year - Launch year
-   * @param {string} status - Mission status
+   * Save list filters to localStorage
    */
-  createMission(name, destination, year, status) {
-    const mission = new Mission(name, destination, year, status);
-    this.missions.push(mission);
-    this.saveMissions();
-    this.renderMissions();
+  saveFilters() {
+    localStorage.setItem(MISSIONS_FILTERS_STORAGE_KEY, JSON.stringify(this.filters));
   }
 
   /**
-   * Update existing mission (UPDATE)
-   * @param {number} id - Mission ID
-   * @param {string} name - Mission name
-   * @param {string} destination - Mission destination
-   * @param {number} year - Launch year
-   * @param {string} status - Mission status
+   * Initialize search, filter and sort controls
    */
-  updateMission(id, name, destination, year, status) {
-    const mission = this.missions.find(m => m.id === id);
-    if (mission) {
-      mission.name = name;
-      mission.destination = destination;
-      mission.year = parseInt(year);
-      mission.status = status;
-      this.saveMissions();
-      this.renderMissions();
+  initializeToolbar() {
+    if (!this.toolbar) return;
+
+    const controls = this.toolbar.querySelectorAll('[data-filter]');
+    controls.forEach(control => {
+      control.value = this.filters[control.dataset.filter];
+      const eventName = control.tagName === 'SELECT' ? 'change' : 'input';
+      control.addEventListener(eventName, () => {
+        this.filters[control.dataset.filter] = control.value;
+        this.handleFilterChange();
+      });
+    });
+
+    const resetButton = this.toolbar.querySelector('.btn-reset-filters');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        this.filters = { ...DEFAULT_MISSION_FILTERS };
+        controls.forEach(control => {
+          control.value = this.filters[control.dataset.filter];
+        });
+        this.handleFilterChange();
+      });
     }
   }
 
   /**
-   * Delete mission (DELETE)
-   * @param {number} id - Mission ID
+   * Apply search, filters and sorting to missions
+   * @param {Array} missions - Missions to filter
+   * @returns {Array} Visible missions
+   */
+  applyFilters(missions) {
+    return missions.filter(this.getFilter()).sort(this.getComparator());
+  }
+
+  /**
+   * Get a test for the search and filters
+   * @returns {Function} Returns true for a visible mission
    */
-  deleteMission(id) {
-    this.missions = this.missions.filter(mission => mission.id !== id);
-    this.saveMissions();
-    this.renderMissions();
+  getFilter() {
+    const { search, status, yearFrom, yearTo } = this.filters;
+    const query = normalizeText(search);
+    const from = parseInt(yearFrom);
+    const to = parseInt(yearTo);
+
+    return mission => {
+      const searchable = `${mission.name} ${getDestinationName(mission.destination)} ${mission.agency}`;
+      if (query && !normalizeText(searchable).includes(query)) {
+        return false;
+      }
+      if (status && mission.status !== status) return false;
+      if (!isNaN(from) && mission.year < from) return false;
+      if (!isNaN(to) && mission.year > to) return false;
+      return true;
+    };
   }
 
   /**
-   * Get status class for styling
-   * @param {string} status - Mission status
-   * @returns {string} CSS class
+   * Get the comparison for the chosen sorting. Ties fall back to the creation
+   * date, so a mission placed on its own lands where a full sort would put it.
+   * @returns {Function} Compare function
    */
-  getStatusClass(status) {
-    const STATUS_CLASSES = {
-      'active': 'status-active',
-      'completed': 'status-completed',
-      'planned': 'status-planned'
+  getComparator() {
+    const { sortBy, sortOrder } = this.filters;
+    const SORTERS = {
+      name: (a, b) => a.name.localeCompare(b.name, getLanguage()),
+      year: (a, b) => a.year - b.year,
+      createdAt: (a, b) => a.createdAt.localeCompare(b.createdAt)
     };
-    return STATUS_CLASSES[status] || 'status-planned';
+    const sorter = SORTERS[sortBy] || SORTERS.createdAt;
+    const direction = sortOrder === 'desc' ? -1 : 1;
+
+    return (a, b) => (sorter(a, b) || SORTERS.createdAt(a, b)) * direction;
   }
 
   /**
-   * Get status text in Spanish
-   * @param {string} status - Mission status
-   * @returns {string} Status text
+   * Create the spacers that stand in for the cards outside the window and
+   * move the window as the page scrolls
    */
-  getStatusText(status) {
-    const STATUS_TEXTS = {
-      'active': 'Activa',
-      'completed': 'Completada',
-      'planned': 'Planificada'
+  initializeWindow() {
+    const createSpacer = () => {
+      const spacer = document.createElement('div');
+      spacer.className = 'missions-spacer';
+      spacer.setAttribute('aria-hidden', 'true');
+      return spacer;
+    };
+    this.topSpacer = createSpacer();
+    this.bottomSpacer = createSpacer();
+
+    // Spacers take no room of their own in the flex gap between cards
+    this.gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+    this.topSpacer.style.marginBottom = `${-this.gap}px`;
+    this.bottomSpacer.style.marginTop = `${-this.gap}px`;
+
+    let frame = null;
+    const scheduleUpdate = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        this.updateWindow();
+      });
     };
-    return STATUS_TEXTS[status] || status;
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+  }
+
+  /**
+   * Filter and sort every mission again, then redraw (READ)
+   */
+  render() {
+    this.visibleMissions = this.store.loading ? [] : this.applyFilters(this.store.list());
+    this.draw();
+  }
+
+  /**
+   * Put a created, edited or restored mission in its place among the
+   * visible missions without filtering and sorting the rest again
+   * @param {Object} mission - Mission
+   */
+  placeMission(mission) {
+    this.removeMission(mission.id);
+    if (!this.getFilter()(mission)) return;
+
+    const compare = this.getComparator();
+    let low = 0;
+    let high = this.visibleMissions.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (compare(this.visibleMissions[middle], mission) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    this.visibleMissions.splice(low, 0, mission);
+  }
+
+  /**
+   * Take a mission out of the visible missions
+   * @param {string} id - Mission ID
+   */
+  removeMission(id) {
+    const index = this.visibleMissions.findIndex(mission => mission.id === id);
+    if (index !== -1) this.visibleMissions.splice(index, 1);
   }
 
   /**
-   * Render all missions (READ)
+   * Show the visible missions, or a message when there are none
    */
-  renderMissions() {
-    if (!this.listContainer) {
-      console.error('List container not found!');
+  draw() {
+    if (this.store.loading) {
+      this.renderMessage(t('missions.loading'));
       return;
     }
-    
-    console.log('Rendering missions:', this.missions); // Debug
-    
-    if (this.missions.length === 0) {
-      this.listContainer.innerHTML = '<p style="color: #aaa; text-align: center;">No hay misiones registradas</p>';
+
+    const total = this.store.list().length;
+    this.renderCount(this.visibleMissions.length, total);
+
+    if (total === 0) {
+      this.renderMessage(t('missions.empty'));
       return;
     }
-    
-    this.listContainer.innerHTML = this.missions
-      .map(mission => `
-        <div class="mission-card animate-in">
-          <h4>${this.escapeHtml(mission.name)}</h4>
-          <p><strong>Destino:</strong> ${this.escapeHtml(mission.destination)}</p>
-          <p><strong>Año:</strong> ${mission.year}</p>
-          <span class="mission-status ${this.getStatusClass(mission.status)}">
-            ${this.getStatusText(mission.status)}
-          </span>
-          <div class="mission-actions">
-            <button class="btn-edit" data-id="${mission.id}">Editar</button>
-            <button class="btn-delete" data-id="${mission.id}">Eliminar</button>
-          </div>
-        </div>
-      `)
-      .join('');
-    
-    // Add event listeners to edit buttons
-    this.listContainer.querySelectorAll('.btn-edit').forEach(button => {
-      button.addEventListener('click', (e) => {
-        const id = parseFloat(e.target.dataset.id);
-        this.openEditModal(id);
-      });
+    if (this.visibleMissions.length === 0) {
+      this.renderMessage(t('missions.noMatches'));
+      return;
+    }
+
+    if (!this.topSpacer.isConnected) {
+      this.container.innerHTML = '';
+      this.container.append(this.topSpacer, this.bottomSpacer);
+    }
+    this.computeOffsets();
+    this.updateWindow(true);
+  }
+
+  /**
+   * Replace the cards with a message
+   * @param {string} message - Message to show
+   */
+  renderMessage(message) {
+    this.cards.forEach(card => this.scrollAnimator && this.scrollAnimator.unobserve(card.element));
+    this.cards.clear();
+    this.windowStart = 0;
+    this.windowEnd = 0;
+    this.container.innerHTML = `<p style="color: #aaa; text-align: center;">${message}</p>`;
+  }
+
+  /**
+   * Compute where each visible card starts, from measured heights or an estimate
+   */
+  computeOffsets() {
+    const offsets = new Array(this.visibleMissions.length + 1);
+    offsets[0] = 0;
+    this.visibleMissions.forEach((mission, index) => {
+      const height = this.heights.get(mission.id) || MISSION_CARD_ESTIMATED_HEIGHT;
+      offsets[index + 1] = offsets[index] + height + this.gap;
     });
+    this.offsets = offsets;
+  }
 
-    // Add event listeners to delete buttons
-    this.listContainer.querySelectorAll('.btn-delete').forEach(button => {
-      button.addEventListener('click', (e) => {
-        const id = parseFloat(e.target.dataset.id);
-        if (confirm('¿Estás seguro de eliminar esta misión?')) {
-          this.deleteMission(id);
-        }
-      });
+  /**
+   * Find the visible card at a distance from the top of the list
+   * @param {number} position - Distance in px
+   * @returns {number} Index of the card
+   */
+  findCardAt(position) {
+    let low = 0;
+    let high = this.visibleMissions.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.offsets[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Render the cards in and near the viewport
+   * @param {boolean} force - Redraw even if the range did not change
+   */
+  updateWindow(force = false) {
+    // A hidden list (timeline view) has no layout to measure
+    if (this.container.hidden || !this.topSpacer.isConnected) return;
+
+    const top = -this.container.getBoundingClientRect().top;
+    const start = this.findCardAt(top - MISSIONS_WINDOW_MARGIN);
+    const end = this.findCardAt(top + window.innerHeight + MISSIONS_WINDOW_MARGIN) + 1;
+    if (!force && start === this.windowStart && end === this.windowEnd) return;
+
+    this.windowStart = start;
+    this.windowEnd = end;
+    this.renderCards(this.visibleMissions.slice(start, end));
+    this.measureCards();
+  }
+
+  /**
+   * Record the real height of the rendered cards and resize the spacers
+   */
+  measureCards() {
+    let changed = false;
+    this.cards.forEach((card, id) => {
+      const height = card.element.offsetHeight;
+      if (height > 0 && height !== this.heights.get(id)) {
+        this.heights.set(id, height);
+        changed = true;
+      }
+    });
+    if (changed) this.computeOffsets();
+
+    const total = this.offsets[this.visibleMissions.length];
+    this.topSpacer.style.height = `${this.offsets[this.windowStart]}px`;
+    this.bottomSpacer.style.height = `${total - this.offsets[this.windowEnd]}px`;
+  }
+
+  /**
+   * Update the cards in place: add, redraw, move and remove only what changed
+   * @param {Array} missions - Missions to show, in order
+   */
+  renderCards(missions) {
+    const ids = new Set(missions.map(mission => mission.id));
+    const language = getLanguage();
+    const addedCards = [];
+
+    // Drop the cards that left the window
+    this.cards.forEach((card, id) => {
+      if (ids.has(id)) return;
+      if (this.scrollAnimator) this.scrollAnimator.unobserve(card.element);
+      card.element.remove();
+      this.cards.delete(id);
+    });
+
+    let position = this.topSpacer.nextElementSibling;
+    missions.forEach(mission => {
+      let card = this.cards.get(mission.id);
+      if (!card) {
+        const element = document.createElement('div');
+        element.className = 'mission-card';
+        element.dataset.id = mission.id;
+        card = { element, signature: '' };
+        this.cards.set(mission.id, card);
+        addedCards.push(element);
+      }
+
+      // Only the few rendered cards are compared; texts depend on the language too
+      const signature = `${language}|${JSON.stringify(mission)}`;
+      if (card.signature !== signature) {
+        card.element.innerHTML = this.renderCard(mission);
+        card.signature = signature;
+      }
+
+      if (card.element === position) {
+        position = position.nextElementSibling;
+      } else {
+        this.container.insertBefore(card.element, position);
+      }
     });
+
+    if (this.scrollAnimator) {
+      this.scrollAnimator.observe(addedCards);
+    } else {
+      addedCards.forEach(element => element.classList.add('animate-in'));
+    }
+  }
+
+  /**
+   * Build the contents of a mission card
+   * @param {Object} mission - Mission
+   * @returns {string} Card HTML
+   */
+  renderCard(mission) {
+    return `
+      ${mission.imageUrl ? `<img src="${escapeHtml(getImageUrl(mission.imageUrl, 800))}" alt="" class="mission-image" loading="lazy">` : ''}
+      <h4>${escapeHtml(mission.name)}</h4>
+      <p><strong>${t('mission.destination')}:</strong> ${renderDestinationLink(mission.destination)}</p>
+      ${mission.agency ? `<p><strong>${t('mission.agency')}:</strong> ${escapeHtml(mission.agency)}</p>` : ''}
+      <p><strong>${t('mission.type')}:</strong> ${getMissionTypeText(mission)}</p>
+      <p><strong>${t('mission.year')}:</strong> ${mission.year}</p>
+      ${mission.launchDate ? `<p><strong>${t('mission.launch')}:</strong> ${formatDate(mission.launchDate)}</p>` : ''}
+      ${mission.arrivalDate ? `<p><strong>${t('mission.arrival')}:</strong> ${formatDate(mission.arrivalDate)}</p>` : ''}
+      ${mission.notes ? `<p class="mission-notes">${escapeHtml(mission.notes)}</p>` : ''}
+      <span class="mission-status ${getStatusClass(mission.status)}">
+        ${getStatusText(mission.status)}
+      </span>
+      <div class="mission-actions">
+        <button type="button" class="btn-edit" data-id="${mission.id}" aria-label="${t('mission.editLabel', { name: escapeHtml(mission.name) })}">${t('mission.edit')}</button>
+        <button type="button" class="btn-edit btn-attach-image" data-id="${mission.id}" aria-label="${t('mission.imageLabel', { name: escapeHtml(mission.name) })}">${t('mission.image')}</button>
+        <button type="button" class="btn-delete" data-id="${mission.id}" aria-label="${t('mission.deleteLabel', { name: escapeHtml(mission.name) })}">${t('mission.delete')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render soft-deleted missions in the trash view
+   */
+  renderTrash() {
+    this.updateHistoryControls();
+    if (!this.trashContainer || this.trashContainer.hidden) return;
+
+    const trash = this.store.listTrash();
+    if (trash.length === 0) {
+      this.trashContainer.innerHTML = `<p style="color: #aaa; text-align: center;">${t('history.trashEmpty')}</p>`;
+      return;
+    }
+
+    this.trashContainer.innerHTML = `
+      <div class="missions-list">
+        ${trash
+          .map(mission => `
+            <div class="mission-card animate-in">
+              <h4>${escapeHtml(mission.name)}</h4>
+              <p><strong>${t('mission.destination')}:</strong> ${escapeHtml(getDestinationName(mission.destination))}</p>
+              <p><strong>${t('mission.deleted')}:</strong> ${new Date(mission.deletedAt).toLocaleString(getLocale())}</p>
+              <div class="mission-actions">
+                <button type="button" class="btn-edit btn-restore" data-id="${mission.id}" aria-label="${t('mission.restoreLabel', { name: escapeHtml(mission.name) })}">${t('mission.restore')}</button>
+                <button type="button" class="btn-delete btn-purge" data-id="${mission.id}" aria-label="${t('mission.purgeLabel', { name: escapeHtml(mission.name) })}">${t('mission.purge')}</button>
+              </div>
+            </div>
+          `)
+          .join('')}
+      </div>
+      <button type="button" class="btn-delete btn-empty-trash">${t('history.emptyTrash')}</button>
+    `;
   }
 
   /**
-   * Escape HTML to prevent XSS
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
+   * Render the visible missions counter
+   * @param {number} visible - Number of visible missions
+   * @param {number} total - Number of missions
    */
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  renderCount(visible, total) {
+    const counter = this.toolbar && this.toolbar.querySelector('.missions-count');
+    if (counter) {
+      counter.textContent = t('missions.count', { visible, total });
+    }
   }
 }
 
@@ -493,57 +1924,129 @@ class ScrollAnimator {
       rootMargin: '0px 0px -100px 0px'
     };
 
-    const observer = new IntersectionObserver((entries) => {
+    this.observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           entry.target.classList.add('animate-in');
+          // Animated once: nothing left to watch
+          this.observer.unobserve(entry.target);
         }
       });
     }, options);
 
     // Observe sections
-    const sections = document.querySelectorAll('.solar-system, .neptune-section, .missions-section, .about-section');
-    sections.forEach(section => {
-      observer.observe(section);
-    });
+    this.observe(document.querySelectorAll('.solar-system, .neptune-section, .missions-section, .about-section'));
 
     // Observe planet cards individually
-    const planets = document.querySelectorAll('.planet');
-    planets.forEach(planet => {
-      observer.observe(planet);
-    });
+    this.observe(document.querySelectorAll('.planet'));
 
     // Observe mission cards
-    const missionCards = document.querySelectorAll('.mission-card');
-    missionCards.forEach(card => {
-      observer.observe(card);
+    this.observe(document.querySelectorAll('.mission-card'));
+  }
+
+  /**
+   * Animate elements when they scroll into view (e.g. re-rendered cards)
+   * @param {NodeList|Array} elements - Elements to observe
+   */
+  observe(elements) {
+    // Without motion, show everything at once instead of animating on scroll
+    if (prefersReducedMotion()) {
+      elements.forEach(element => element.classList.add('animate-in'));
+      return;
+    }
+
+    elements.forEach(element => {
+      this.observer.observe(element);
     });
   }
+
+  /**
+   * Stop watching an element (e.g. a removed card)
+   * @param {Element} element - Element
+   */
+  unobserve(element) {
+    this.observer.unobserve(element);
+  }
 }
 
 // ===== SMOOTH SCROLL =====
+/**
+ * Check whether the user asked the system to minimize motion
+ * @returns {boolean} Prefers reduced motion
+ */
+function prefersReducedMotion() {
+  return Boolean(window.matchMedia) && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Check whether a hash is a planet detail route
+ * @param {string} hash - Location hash or link href
+ * @returns {boolean} Is a planet route
+ */
+function isPlanetRoute(hash) {
+  return hash.startsWith(PLANET_ROUTE_PREFIX);
+}
+
+/**
+ * Scroll to an element leaving room for the fixed header
+ * @param {HTMLElement} target - Element to scroll to
+ * @param {string} behavior - Scroll behavior
+ */
+function scrollToElement(target, behavior = 'smooth') {
+  const headerHeight = document.querySelector('.main-header').offsetHeight;
+  const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
+
+  window.scrollTo({
+    top: targetPosition,
+    behavior: prefersReducedMotion() ? 'auto' : behavior
+  });
+}
+
 /**
  * Enable smooth scroll for navigation links
  */
 function enableSmoothScroll() {
   document.querySelectorAll('a[href^="#"]').forEach(anchor => {
     anchor.addEventListener('click', function(e) {
+      const href = this.getAttribute('href');
+
+      // Let the router handle planet routes and leaving an open detail view
+      if (isPlanetRoute(href) || isPlanetRoute(window.location.hash)) return;
+
       e.preventDefault();
-      const target = document.querySelector(this.getAttribute('href'));
+      const target = href.length > 1 ? document.getElementById(href.slice(1)) : null;
       if (target) {
-        const headerHeight = document.querySelector('.main-header').offsetHeight;
-        const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
-        
-        window.scrollTo({
-          top: targetPosition,
-          behavior: 'smooth'
-        });
+        scrollToElement(target);
       }
     });
   });
 }
 
 // ===== INITIALIZATION =====
+/**
+ * Render the planet grid and every planet summary/detail block
+ * @param {PlanetCatalog} catalog - Catalog to render (a new one by default)
+ * @returns {PlanetCatalog} Catalog used for rendering
+ */
+function renderPlanetCatalog(catalog = new PlanetCatalog(PLANETS)) {
+  const grid = document.getElementById(PLANETS_GRID_ID);
+  if (grid) {
+    catalog.renderGrid(grid);
+  }
+
+  document.querySelectorAll('[data-planet-summary]').forEach(container => {
+    const planet = catalog.getPlanet(container.dataset.planetSummary);
+    if (planet) catalog.renderSummary(container, planet);
+  });
+
+  document.querySelectorAll('[data-planet-details]').forEach(container => {
+    const planet = catalog.getPlanet(container.dataset.planetDetails);
+    if (planet) catalog.renderDetails(container, planet);
+  });
+
+  return catalog;
+}
+
 /**
  * Initialize all planets on the page
  */
@@ -552,19 +2055,59 @@ function initializePlanets() {
   planets.forEach(planet => new PlanetCard(planet));
 }
 
+/**
+ * Get the slugs of the selected (active) planet cards
+ * @returns {Array} Planet slugs in grid order
+ */
+function getSelectedPlanetSlugs() {
+  return Array.from(document.querySelectorAll(`.${PLANET_CARD_CLASS}.${ACTIVE_CLASS}`))
+    .map(card => card.dataset.planet);
+}
+
 /**
  * Initialize the application
  */
 function initializeApp() {
+  // Pages without the planet grid (e.g. the gallery) only reuse the shared helpers
+  if (!document.getElementById(PLANETS_GRID_ID)) return;
+
+  const catalog = renderPlanetCatalog();
   initializePlanets();
+  new Orrery();
+  new PlanetComparison(catalog);
   
-  // Only initialize MissionManager if form exists
+  const scrollAnimator = new ScrollAnimator();
+
+  // Only load missions if the missions section exists
+  let missionStore = null;
+  let editModal = null;
+  let createForm = null;
   if (document.getElementById(MISSION_FORM_ID)) {
-    new MissionManager();
+    missionStore = new MissionStore();
+    editModal = new MissionEditModal(missionStore);
+    const missionList = new MissionList(missionStore, editModal, scrollAnimator);
+    createForm = new MissionCreateForm(missionStore);
+    new MissionTransfer(missionStore);
+    new MissionTimeline(missionStore, missionList, editModal);
+    new MissionStats(missionStore);
+    new MissionImagePicker(missionStore, missionList);
   }
+  new Quiz(missionStore);
   
-  new ScrollAnimator();
   enableSmoothScroll();
+  new PlanetRouter(catalog, missionStore);
+  new CommandPalette(missionStore, editModal, createForm);
+
+  // Planet texts are rendered from data, so they are re-rendered on language change
+  document.addEventListener(LANGUAGE_CHANGE_EVENT, () => {
+    const selected = getSelectedPlanetSlugs();
+    renderPlanetCatalog(catalog);
+    initializePlanets();
+
+    const cards = document.querySelectorAll(`.${PLANET_CARD_CLASS}`);
+    cards.forEach(card => setPlanetCardActive(card, selected.includes(card.dataset.planet)));
+    scrollAnimator.observe(cards);
+  });
   
   console.log('PROJECT S initialized successfully');
 }
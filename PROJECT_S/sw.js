@@ -0,0 +1,154 @@
+// ===== SERVICE WORKER =====
+/**
+ * Offline support: precaches the pages, styles, scripts and bundled images,
+ * and keeps a runtime cache of remote images seen while online.
+ * Bump CACHE_VERSION whenever a precached file changes.
+ */
+importScripts('js/image-assets.js');
+
+// ===== CONSTANTS =====
+const CACHE_VERSION = 'v24';
+const STATIC_CACHE = `project-s-static-${CACHE_VERSION}`;
+const IMAGE_CACHE = `project-s-images-${CACHE_VERSION}`;
+const IMAGE_CACHE_LIMIT = 60;
+const IMAGE_HOST = 'upload.wikimedia.org';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'gallery.html',
+  'parallax.html',
+  'manifest.webmanifest',
+  'css/style.css',
+  'css/parallax.css',
+  'js/i18n.js',
+  'js/offline.js',
+  'js/image-assets.js',
+  'js/planets-data.js',
+  'js/mission-storage.js',
+  'js/script.js',
+  'js/mission-validation.js',
+  'js/mission-store.js',
+  'js/mission-transfer.js',
+  'js/mission-timeline.js',
+  'js/mission-stats.js',
+  'js/orrery.js',
+  'js/planet-comparison.js',
+  'js/quiz.js',
+  'js/gallery-data.js',
+  'js/gallery.js',
+  'js/parallax-scenes.js',
+  'js/parallax.js',
+  'js/command-palette.js',
+  'img/project-s-logo.png',
+  'img/shadow.webp',
+  'img/icons/icon-192.png',
+  'img/icons/icon-512.png',
+  ...Object.values(LOCAL_IMAGES).flatMap(image =>
+    image.widths.map(width => `${image.path}-${width}.${image.ext}`)
+  )
+];
+// Paths served cache-first; any other same-origin request (e.g. a missions API) must stay fresh
+const PRECACHED_PATHS = new Set(PRECACHE_URLS.map(url => new URL(url, self.location).pathname));
+
+// ===== CACHE HELPERS =====
+/**
+ * Get the bundled copy of a remote image URL (the largest size)
+ * @param {string} url - Remote image URL
+ * @returns {string|null} Local path
+ */
+function getLocalImagePath(url) {
+  const image = LOCAL_IMAGES[url];
+  if (!image) return null;
+  return `${image.path}-${image.widths[image.widths.length - 1]}.${image.ext}`;
+}
+
+/**
+ * Drop the oldest entries of a cache above a limit
+ * @param {string} cacheName - Cache name
+ * @param {number} limit - Maximum number of entries
+ */
+async function trimCache(cacheName, limit) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+/**
+ * Network first, falling back to the cached page (navigations)
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // Query strings and hashes (#planeta/..., ?lang=) share one cached page
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached || cache.match('index.html');
+  }
+}
+
+/**
+ * Cache first, storing whatever the network returns
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read and fill
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Cross-origin <img> requests are opaque (status 0) but still usable
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    if (cacheName === IMAGE_CACHE) trimCache(IMAGE_CACHE, IMAGE_CACHE_LIMIT);
+  }
+  return response;
+}
+
+// ===== LIFECYCLE =====
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== STATIC_CACHE && key !== IMAGE_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ===== FETCH =====
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin && PRECACHED_PATHS.has(url.pathname)) {
+    event.respondWith(cacheFirst(request, STATIC_CACHE));
+  } else if (url.hostname === IMAGE_HOST) {
+    const localPath = getLocalImagePath(url.href);
+    event.respondWith(localPath
+      ? caches.match(localPath).then(cached => cached || fetch(request))
+      : cacheFirst(request, IMAGE_CACHE));
+  }
+  // Anything else (e.g. the missions REST API, on this origin or another) goes straight to the network
+});
@@ -0,0 +1,195 @@
+// ===== FETCH IMAGES =====
+/**
+ * Download local, responsive copies of every remote image used by the site
+ * (planets, gallery photos and the parallax page) so they can be served and
+ * precached offline.
+ *
+ * Usage: node tools/fetch-images.js
+ *
+ * Images are saved as img/space/<id>-<width>.<ext> and listed in
+ * js/image-assets.js, which the pages and the service worker read.
+ */
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = 'img/space';
+const ASSETS_FILE = 'js/image-assets.js';
+const IMAGE_WIDTHS = [400, 800, 1200];
+const WIKIMEDIA_COMMONS_URL = 'https://upload.wikimedia.org/wikipedia/commons/';
+const USER_AGENT = 'PROJECT-S image fetcher (Node.js)';
+// Thumbnails of SVG files are PNG, so the extension comes from the response
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Run browser data scripts and read their global constants
+ * @param {Array} files - Script paths relative to the project root
+ * @param {Array} names - Constant names to export
+ * @returns {Object} Constants by name
+ */
+function readGlobals(files, names) {
+  const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+  const context = {};
+  vm.runInNewContext(`${source}\n;this.exported = { ${names.join(', ')} };`, context);
+  return context.exported;
+}
+
+/**
+ * Collect every remote image with a file-friendly id
+ * @returns {Array} {id, src}
+ */
+function collectImages() {
+  const { PLANETS, GALLERY_IMAGES, PARALLAX_SCENES } = readGlobals(
+    ['js/planets-data.js', 'js/gallery-data.js', 'js/parallax-scenes.js'],
+    ['PLANETS', 'GALLERY_IMAGES', 'PARALLAX_SCENES']
+  );
+
+  const images = [
+    ...PLANETS.map(planet => ({ id: planet.slug, src: planet.image })),
+    ...GALLERY_IMAGES.map(image => ({ id: image.id, src: image.src }))
+  ];
+
+  // Planet images of the parallax chapters
+  PARALLAX_SCENES.forEach(scene => {
+    Object.values(scene.layers).flat()
+      .filter(element => element.type === 'planet')
+      .forEach(element => images.push({ id: element.className, src: element.src }));
+  });
+
+  // The same picture can be used twice (e.g. a planet and its parallax layer)
+  return images.filter((image, index) => images.findIndex(other => other.src === image.src) === index);
+}
+
+/**
+ * Build the Wikimedia Commons thumbnail URL for a width
+ * @param {string} src - Original image URL
+ * @param {number} width - Width in px
+ * @returns {string} Thumbnail URL
+ */
+function getThumbnailUrl(src, width) {
+  const filePath = src.slice(WIKIMEDIA_COMMONS_URL.length);
+  const fileName = filePath.split('/').pop();
+  return `${WIKIMEDIA_COMMONS_URL}thumb/${filePath}/${width}px-${fileName}`;
+}
+
+/**
+ * Download an image into <basePath>.<ext>, following redirects. The file is
+ * written to a .part file first, so a failed download never leaves a
+ * truncated image behind.
+ * @param {string} url - URL
+ * @param {string} basePath - File path without extension
+ * @returns {Promise<string>} Resolves with the extension once the file is written
+ */
+function download(url, basePath) {
+  return new Promise((resolve, reject) => {
+    https.get(url, { headers: { 'User-Agent': USER_AGENT } }, response => {
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        download(new URL(response.headers.location, url).href, basePath).then(resolve, reject);
+        return;
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+        return;
+      }
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+      const ext = CONTENT_TYPE_EXTENSIONS[contentType];
+      if (!ext) {
+        response.resume();
+        reject(new Error(`Unexpected content type "${contentType}" for ${url}`));
+        return;
+      }
+
+      const destination = `${basePath}.${ext}`;
+      const partial = `${destination}.part`;
+      const file = fs.createWriteStream(partial);
+      const fail = error => {
+        file.destroy();
+        fs.unlink(partial, () => reject(error));
+      };
+
+      response.on('error', fail);
+      file.on('error', fail);
+      file.on('finish', () => file.close(() => {
+        fs.rename(partial, destination, error => error ? fail(error) : resolve(ext));
+      }));
+      response.pipe(file);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Write js/image-assets.js
+ * @param {Object} assets - Local images by original URL
+ */
+function writeAssetsFile(assets) {
+  const content = `// ===== LOCAL IMAGE ASSETS =====
+// Generated by tools/fetch-images.js - do not edit by hand.
+/**
+ * Bundled copies of remote images, by original URL:
+ * files are <path>-<width>.<ext> for each width.
+ * Empty until the tool is run; pages then use the remote URLs.
+ */
+const LOCAL_IMAGES = ${JSON.stringify(assets, null, 2)};
+`;
+  fs.writeFileSync(path.join(ROOT, ASSETS_FILE), content);
+}
+
+async function main() {
+  fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+  const assets = {};
+
+  for (const image of collectImages()) {
+    if (!image.src.startsWith(WIKIMEDIA_COMMONS_URL)) continue;
+
+    const basePath = `${OUTPUT_DIR}/${image.id}`;
+    const widths = [];
+    let ext = null;
+
+    for (const width of IMAGE_WIDTHS) {
+      try {
+        const fileExt = await download(getThumbnailUrl(image.src, width), path.join(ROOT, `${basePath}-${width}`));
+        // The asset map has one extension per image
+        if (ext && fileExt !== ext) {
+          fs.unlinkSync(path.join(ROOT, `${basePath}-${width}.${fileExt}`));
+          console.warn(`Skipped ${image.id} at ${width}px: got .${fileExt} instead of .${ext}`);
+          continue;
+        }
+        ext = fileExt;
+        widths.push(width);
+      } catch (error) {
+        // Wikimedia refuses thumbnails wider than the original
+        console.warn(`Skipped ${image.id} at ${width}px: ${error.message}`);
+      }
+    }
+
+    if (widths.length > 0) {
+      assets[image.src] = { path: basePath, ext, widths };
+      console.log(`✓ ${image.id} (${widths.join(', ')})`);
+    }
+  }
+
+  // Without network every download fails: keep the images listed by an earlier run
+  if (Object.keys(assets).length === 0) {
+    console.error(`No image could be downloaded; ${ASSETS_FILE} was left unchanged.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  writeAssetsFile(assets);
+  console.log(`Wrote ${Object.keys(assets).length} images to ${ASSETS_FILE}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// ===== MOCK MISSIONS API =====
+/**
+ * Local mock server for the REST storage adapter.
+ *
+ * Usage: node tools/mock-api.js [port]
+ * Then set <meta name="missions-storage" content="rest"> in index.html.
+ *
+ * GET  /api/missions  -> stored data (404 until something is saved)
+ * PUT  /api/missions  -> replace stored data
+ */
+const http = require('http');
+
+const PORT = parseInt(process.argv[2]) || 3001;
+const API_PATH = '/api/missions';
+
+let stored = null;
+
+/**
+ * Send a response with CORS headers
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {Object} body - JSON body
+ */
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (req.url !== API_PATH) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    if (stored === null) {
+      send(res, 404, { error: 'No data' });
+    } else {
+      send(res, 200, stored);
+    }
+    return;
+  }
+
+  if (req.method === 'PUT') {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        stored = JSON.parse(body);
+        send(res, 204);
+      } catch (error) {
+        send(res, 400, { error: 'Invalid JSON' });
+      }
+    });
+    return;
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock missions API listening on http://localhost:${PORT}${API_PATH}`);
+});